@@ -0,0 +1,40 @@
+// The Express application: middleware and routes, without a database
+// connection or background jobs (server.js adds those), so tests can load it.
+var express = require('express'),
+    router = express.Router(),
+    bodyParser = require('body-parser');
+
+// Create our Express application
+var app = express();
+
+// Allow CORS so that backend and frontend could be put on different servers.
+// CORS_ORIGINS is a comma-separated allowlist; leave it unset to allow any origin.
+var allowedOrigins = (process.env.CORS_ORIGINS || "").split(",").map(function (o) { return o.trim(); }).filter(Boolean);
+
+var allowCrossDomain = function (req, res, next) {
+    var origin = req.get("Origin");
+    if (!allowedOrigins.length) {
+        res.header("Access-Control-Allow-Origin", "*");
+    } else if (origin && allowedOrigins.indexOf(origin) !== -1) {
+        res.header("Access-Control-Allow-Origin", origin);
+        res.header("Vary", "Origin");
+    }
+    res.header("Access-Control-Allow-Headers", "X-Requested-With, X-HTTP-Method-Override, Content-Type, Accept, Authorization, X-API-Key, If-Match, If-None-Match");
+    res.header("Access-Control-Expose-Headers", "ETag, Link, X-Total-Count");
+    res.header("Access-Control-Allow-Methods", "POST, GET, PUT, PATCH, DELETE, OPTIONS");
+    next();
+};
+app.use(allowCrossDomain);
+
+// Use the body-parser package in our application
+app.use(bodyParser.urlencoded({
+    extended: true
+}));
+app.use(bodyParser.json({
+    type: ['application/json', 'application/merge-patch+json', 'application/json-patch+json']
+}));
+
+// Use routes as a module (see index.js)
+require('./routes')(app, router);
+
+module.exports = app;
@@ -17,11 +17,11 @@ import urllib
 import json
 
 def usage():
-    print('dbClean.py -u <baseurl> -p <port>')
+    print('dbClean.py -u <baseurl> -p <port> -k <apiKey>')
 
-def getUsers(conn):
+def getUsers(conn, headers):
     # Retrieve the list of users
-    conn.request("GET","""/api/users?filter={"_id":1}""")
+    conn.request("GET","""/api/users?filter={"_id":1}""", headers=headers)
     response = conn.getresponse()
     data = response.read()
     d = json.loads(data)
@@ -31,9 +31,9 @@ def getUsers(conn):
 
     return users
 
-def getTasks(conn):
+def getTasks(conn, headers):
     # Retrieve the list of tasks
-    conn.request("GET","""/api/tasks?filter={"_id":1}""")
+    conn.request("GET","""/api/tasks?filter={"_id":1}""", headers=headers)
     response = conn.getresponse()
     data = response.read()
     d = json.loads(data)
@@ -49,8 +49,11 @@ def main(argv):
     baseurl = "localhost"
     port = 4000
 
+    # Admin API key sent as X-API-Key (the API requires authentication)
+    apiKey = ""
+
     try:
-        opts, args = getopt.getopt(argv,"hu:p:",["url=","port="])
+        opts, args = getopt.getopt(argv,"hu:p:k:",["url=","port=","key="])
     except getopt.GetoptError:
         usage()
         sys.exit(2)
@@ -62,39 +65,42 @@ def main(argv):
              baseurl = str(arg)
         elif opt in ("-p", "--port"):
              port = int(arg)
+        elif opt in ("-k", "--key"):
+             apiKey = str(arg)
 
     # Server to connect to (1: url, 2: port number)
     conn = http.client.HTTPConnection(baseurl, port)
+    headers = {"X-API-Key": apiKey} if apiKey else {}
 
     # Fetch a list of users
-    users = getUsers(conn)
+    users = getUsers(conn, headers)
 
     # Loop for as long as the database still returns users
     while len(users):
 
         # Delete each individual user
         for user in users:
-            conn.request("DELETE","/api/users/"+user)
+            conn.request("DELETE","/api/users/"+user, headers=headers)
             response = conn.getresponse()
             data = response.read()
 
         # Fetch a list of users
-        users = getUsers(conn)
+        users = getUsers(conn, headers)
 
     # Fetch a list of tasks
-    tasks = getTasks(conn)
+    tasks = getTasks(conn, headers)
 
     # Loop for as long as the database still returns tasks
     while len(tasks):
 
         # Delete each individual task
         for task in tasks:
-            conn.request("DELETE","/api/tasks/"+task)
+            conn.request("DELETE","/api/tasks/"+task, headers=headers)
             response = conn.getresponse()
             data = response.read()
 
         # Fetch a list of tasks
-        tasks = getTasks(conn)
+        tasks = getTasks(conn, headers)
 
     # Exit gracefully
     conn.close()
@@ -21,7 +21,7 @@ from datetime import date
 from time import mktime
 
 def usage():
-    print('dbFill.py -u <baseurl> -p <port> -n <numUsers> -t <numTasks>')
+    print('dbFill.py -u <baseurl> -p <port> -n <numUsers> -t <numTasks> -k <apiKey>')
 
 def getUsers(conn):
     # Retrieve the list of users
@@ -45,8 +45,11 @@ def main(argv):
     userCount = 50
     taskCount = 200
 
+    # Admin API key sent as X-API-Key (the API requires authentication)
+    apiKey = ""
+
     try:
-        opts, args = getopt.getopt(argv,"hu:p:n:t:",["url=","port=","users=","tasks="])
+        opts, args = getopt.getopt(argv,"hu:p:n:t:k:",["url=","port=","users=","tasks=","key="])
     except getopt.GetoptError:
         usage()
         sys.exit(2)
@@ -62,6 +65,8 @@ def main(argv):
              userCount = int(arg)
         elif opt in ("-t", "--tasks"):
              taskCount = int(arg)
+        elif opt in ("-k", "--key"):
+             apiKey = str(arg)
 
     # Python array containing common first names and last names
     firstNames = ["james","john","robert","michael","william","david","richard","charles","joseph","thomas","christopher","daniel","paul","mark","donald","george","kenneth","steven","edward","brian","ronald","anthony","kevin","jason","matthew","gary","timothy","jose","larry","jeffrey","frank","scott","eric","stephen","andrew","raymond","gregory","joshua","jerry","dennis","walter","patrick","peter","harold","douglas","henry","carl","arthur","ryan","roger","joe","juan","jack","albert","jonathan","justin","terry","gerald","keith","samuel","willie","ralph","lawrence","nicholas","roy","benjamin","bruce","brandon","adam","harry","fred","wayne","billy","steve","louis","jeremy","aaron","randy","howard","eugene","carlos","russell","bobby","victor","martin","ernest","phillip","todd","jesse","craig","alan","shawn","clarence","sean","philip","chris","johnny","earl","jimmy","antonio","danny","bryan","tony","luis","mike","stanley","leonard","nathan","dale","manuel","rodney","curtis","norman","allen","marvin","vincent","glenn","jeffery","travis","jeff","chad","jacob","lee","melvin","alfred","kyle","francis","bradley","jesus","herbert","frederick","ray","joel","edwin","don","eddie","ricky","troy","randall","barry","alexander","bernard","mario","leroy","francisco","marcus","micheal","theodore","clifford","miguel","oscar","jay","jim","tom","calvin","alex","jon","ronnie","bill","lloyd","tommy","leon","derek","warren","darrell","jerome","floyd","leo","alvin","tim","wesley","gordon","dean","greg","jorge","dustin","pedro","derrick","dan","lewis","zachary","corey","herman","maurice","vernon","roberto","clyde","glen","hector","shane","ricardo","sam","rick","lester","brent","ramon","charlie","tyler","gilbert","gene"]
@@ -72,6 +77,8 @@ def main(argv):
 
     # HTTP Headers
     headers = {"Content-type": "application/x-www-form-urlencoded","Accept": "text/plain"}
+    if apiKey:
+        headers["X-API-Key"] = apiKey
 
     # Array of user IDs
     userIDs = []
@@ -126,7 +133,7 @@ def main(argv):
         # Make sure the task is added to the pending list of the user
         if assigned and not completed:
             # GET the correct user
-            conn.request("GET","""/api/users?where={"_id":\""""+assignedUserID+"""\"}""")
+            conn.request("GET","""/api/users?where={"_id":\""""+assignedUserID+"""\"}""", headers=headers)
             response = conn.getresponse()
             data = response.read()
             d = json.loads(data)
@@ -0,0 +1,76 @@
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { verifyToken, hashApiKey, safeEqual } = require('../utils/auth');
+
+function unauthorized(res, message) {
+    return res.status(401).json({ message: 'Unauthorized: ' + message, data: null });
+}
+
+function readCredentials(req) {
+    const header = req.get('Authorization') || '';
+    const [scheme, value] = header.split(' ');
+    if (scheme === 'Bearer' && value) return { token: value };
+    if (scheme === 'ApiKey' && value) return { apiKey: value };
+    if (req.get('X-API-Key')) return { apiKey: req.get('X-API-Key') };
+    return {};
+}
+
+// Sets req.auth to { type, role, userId, keyId } for a valid bearer token or
+// API key, and answers 401 otherwise. userId is only set for logged-in users;
+// service accounts act without a user identity.
+async function authenticate(req, res, next) {
+    const { token, apiKey } = readCredentials(req);
+    if (!token && !apiKey) return unauthorized(res, 'missing credentials');
+
+    try {
+        if (token) {
+            let claims;
+            try { claims = verifyToken(token); }
+            catch { return unauthorized(res, 'invalid or expired token'); }
+
+            const user = await User.findById(claims.sub).select({ role: 1 });
+            if (!user) return unauthorized(res, 'invalid or expired token');
+
+            req.auth = { type: 'user', role: user.role, userId: user._id.toString(), keyId: null };
+            return next();
+        }
+
+        if (process.env.ADMIN_API_KEY && safeEqual(apiKey, process.env.ADMIN_API_KEY)) {
+            req.auth = { type: 'apiKey', role: 'admin', userId: null, keyId: null };
+            return next();
+        }
+
+        const key = await ApiKey.findOneAndUpdate(
+            { keyHash: hashApiKey(apiKey), revoked: false },
+            { $set: { lastUsed: new Date() } }
+        );
+        if (!key) return unauthorized(res, 'invalid API key');
+
+        req.auth = { type: 'apiKey', role: key.role, userId: null, keyId: key._id.toString() };
+        return next();
+    } catch {
+        return res.status(500).json({ message: 'Server Error while authenticating', data: null });
+    }
+}
+
+// For clients that cannot set headers (EventSource): accepts the bearer
+// token as ?access_token= on the routes it is mounted in front of.
+function tokenFromQuery(req, res, next) {
+    if (!req.get('Authorization') && typeof req.query.access_token === 'string') {
+        req.headers.authorization = 'Bearer ' + req.query.access_token;
+    }
+    next();
+}
+
+function isAdmin(auth) {
+    return Boolean(auth) && auth.role === 'admin';
+}
+
+function requireAdmin(req, res, next) {
+    if (!isAdmin(req.auth)) {
+        return res.status(403).json({ message: 'Forbidden: admin access required', data: null });
+    }
+    return next();
+}
+
+module.exports = { authenticate, requireAdmin, isAdmin, tokenFromQuery };
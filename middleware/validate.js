@@ -0,0 +1,134 @@
+const { document } = require('../utils/openapi');
+const { validate: check } = require('../utils/schema');
+
+// Checks requests against the operation utils/openapi.js describes for them,
+// answering 400 with every offending field before the handler runs:
+//   { message: 'Bad Request: <first problem>', data: { errors: [{ in, field, message }] } }
+// Query strings and form bodies are checked with coercion ("5" is a number),
+// JSON bodies as they are. Routes the document does not describe pass through.
+//
+// With OPENAPI_RESPONSE_VALIDATION=strict (as the tests run) JSON responses
+// are checked too, and a handler that drifts from the document answers 500
+// instead of its response. Otherwise responses are sent unchecked.
+
+const JSON_TYPES = ['application/json', 'application/merge-patch+json', 'application/json-patch+json'];
+const CHECK_RESPONSES = process.env.OPENAPI_RESPONSE_VALIDATION === 'strict';
+
+function escape(text) {
+    return text.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+}
+
+// "/api/tasks/{id}/history" -> /^\/api\/tasks\/([^/]+)\/history$/i. Paths
+// with fewer parameters come first, so /api/tasks/search wins over
+// /api/tasks/{id}.
+function compileRoutes(paths) {
+    return Object.keys(paths).map(path => {
+        const names = [];
+        const source = path.split(/(\{[^}]+\})/).map(part => {
+            if (!part.startsWith('{')) return escape(part);
+            names.push(part.slice(1, -1));
+            return '([^/]+)';
+        }).join('');
+        return { path, names, regex: new RegExp(`^${source}$`, 'i'), item: paths[path] };
+    }).sort((a, b) => a.names.length - b.names.length);
+}
+
+const ROUTES = compileRoutes(document.paths);
+
+function decode(value) {
+    try { return decodeURIComponent(value); }
+    catch { return value; }
+}
+
+function findOperation(method, url) {
+    const path = url.length > 1 ? url.replace(/\/$/, '') : url;
+    for (const route of ROUTES) {
+        const match = route.regex.exec(path);
+        if (!match) continue;
+        const operation = route.item[method.toLowerCase()];
+        if (!operation) continue;
+        const params = {};
+        route.names.forEach((name, i) => { params[name] = decode(match[i + 1]); });
+        return { path: route.path, operation, params };
+    }
+    return null;
+}
+
+function checkParameters(operation, values) {
+    const errors = [];
+    (operation.parameters || []).forEach(param => {
+        if (param.in !== 'path' && param.in !== 'query') return;
+        const value = values[param.in][param.name];
+        if (value === undefined || value === '') {
+            if (param.required) errors.push({ in: param.in, field: param.name, message: 'is required' });
+            return;
+        }
+        check(param.schema, value, { root: document, coerce: true, path: param.name })
+            .forEach(e => errors.push(Object.assign({ in: param.in }, e)));
+    });
+    return errors;
+}
+
+// The JSON body schema, used as it is for JSON and missing bodies and with
+// coercion for form bodies. Operations without one (the CSV and NDJSON
+// import) and other media types are left to the handler.
+function bodySchema(req, operation) {
+    const { content } = operation.requestBody || {};
+    const type = content && JSON_TYPES.find(t => content[t]);
+    if (!type) return null;
+    if (req.is('urlencoded')) return { schema: content[type].schema, coerce: true };
+    if (!req.is('*/*') || req.is(JSON_TYPES)) return { schema: content[type].schema, coerce: false };
+    return null;
+}
+
+function checkBody(req, operation) {
+    const body = bodySchema(req, operation);
+    if (!body) return [];
+    const value = req.body === undefined ? {} : req.body;
+    return check(body.schema, value, { root: document, coerce: body.coerce })
+        .map(e => Object.assign({ in: 'body' }, e));
+}
+
+function responseSchema(operation, status) {
+    const response = operation.responses[status] || operation.responses.default;
+    const resolved = response.$ref ? document.components.responses[response.$ref.split('/').pop()] : response;
+    const json = resolved.content && resolved.content['application/json'];
+    return json ? json.schema : document.components.responses.Error.content['application/json'].schema;
+}
+
+// Replaces res.json with a version that checks the body against the
+// document before sending it. The body is serialized once: what is checked
+// is the text that goes out, so documents and dates look as clients see them.
+function checkResponses(req, res, found) {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        if ([204, 304].includes(res.statusCode)) return json(body);
+        const text = JSON.stringify(body);
+        const errors = text === undefined ? []
+            : check(responseSchema(found.operation, res.statusCode), JSON.parse(text), { root: document });
+        if (errors.length) {
+            const where = `${req.method} ${found.path} ${res.statusCode}`;
+            res.status(500);
+            return json({ message: `Server Error: ${where} response does not match the API description`, data: { errors } });
+        }
+        if (!res.get('Content-Type')) res.type('json');
+        return res.send(text);
+    };
+}
+
+function validate(req, res, next) {
+    const found = findOperation(req.method, req.baseUrl + req.path);
+    if (!found) return next();
+
+    const errors = checkParameters(found.operation, { path: found.params, query: req.query })
+        .concat(checkBody(req, found.operation));
+    if (errors.length) {
+        const first = errors[0];
+        return res.status(400).json({ message: `Bad Request: ${first.field} ${first.message}`, data: { errors } });
+    }
+
+    if (CHECK_RESPONSES) checkResponses(req, res, found);
+    return next();
+}
+
+module.exports = { validate, findOperation };
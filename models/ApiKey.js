@@ -0,0 +1,47 @@
+var mongoose = require('mongoose');
+
+// Credentials for service accounts. Only a hash of the key is stored; the
+// plaintext is returned once, when the key is created.
+var ApiKeySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    prefix: {
+        type: String,
+        required: true
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    role: {
+        type: String,
+        enum: ['service', 'admin'],
+        default: 'service'
+    },
+    revoked: {
+        type: Boolean,
+        default: false
+    },
+    lastUsed: {
+        type: Date,
+        default: null
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+ApiKeySchema.set('toJSON', {
+    transform: function (doc, ret) {
+        delete ret.keyHash;
+        return ret;
+    }
+});
+
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
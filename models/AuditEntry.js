@@ -0,0 +1,70 @@
+var mongoose = require('mongoose');
+
+var ChangeSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+var AuditEntrySchema = new mongoose.Schema({
+    entityType: {
+        type: String,
+        enum: ['Task', 'User', 'Project'],
+        required: true
+    },
+    entityId: {
+        type: String,
+        required: true
+    },
+    action: {
+        type: String,
+        enum: ['create', 'update', 'delete'],
+        required: true
+    },
+    actor: {
+        kind: { type: String, default: 'anonymous' },
+        id: { type: String, default: null },
+        role: { type: String, default: null }
+    },
+    changes: {
+        type: [ChangeSchema],
+        default: []
+    },
+    // The whole document before an update or delete, so events replayed from
+    // the log (routes/events.js) carry the same `previous` as live ones.
+    previous: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+        select: false
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+}, { versionKey: false });
+
+AuditEntrySchema.index({ entityType: 1, entityId: 1, timestamp: 1 });
+AuditEntrySchema.index({ timestamp: -1 });
+AuditEntrySchema.index({ 'actor.id': 1, timestamp: -1 });
+AuditEntrySchema.index({ action: 1, timestamp: -1 });
+AuditEntrySchema.index({ 'actor.kind': 1, timestamp: -1 });
+
+// The log is append-only: entries can be inserted but never changed or removed.
+function rejectWrite(next) {
+    next(new Error('Audit entries are append-only'));
+}
+
+AuditEntrySchema.pre('save', function (next) {
+    if (!this.isNew) return rejectWrite(next);
+    next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany',
+    'findOneAndDelete', 'findOneAndRemove', 'remove'].forEach(function (op) {
+    AuditEntrySchema.pre(op, rejectWrite);
+});
+
+
+module.exports = mongoose.model('AuditEntry', AuditEntrySchema);
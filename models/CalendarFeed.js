@@ -0,0 +1,57 @@
+var mongoose = require('mongoose');
+
+// Subscription URLs for the iCalendar feeds. A feed is either one user's
+// tasks (`user`) or a filtered task list (`where`, JSON as on GET /api/tasks).
+// Like API keys, only a hash of the token is stored; the URL is returned once.
+var CalendarFeedSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        default: 'Tasks'
+    },
+    user: {
+        type: String,
+        default: ''
+    },
+    where: {
+        type: String,
+        default: '{}'
+    },
+    owner: {
+        kind: { type: String, required: true },
+        id: { type: String, default: null }
+    },
+    prefix: {
+        type: String,
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    revoked: {
+        type: Boolean,
+        default: false
+    },
+    lastUsed: {
+        type: Date,
+        default: null
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+CalendarFeedSchema.index({ 'owner.id': 1, dateCreated: -1 });
+
+CalendarFeedSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        delete ret.tokenHash;
+        return ret;
+    }
+});
+
+
+module.exports = mongoose.model('CalendarFeed', CalendarFeedSchema);
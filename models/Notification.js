@@ -0,0 +1,53 @@
+var mongoose = require('mongoose');
+
+// Deadline reminders and escalations recorded by utils/reminders.js, read
+// through GET /api/users/:id/notifications. A notification is identified by
+// who gets it, for which task, of which kind and for which deadline, so each
+// is recorded once however often the scheduler runs, and moving a deadline
+// starts over.
+var NotificationSchema = new mongoose.Schema({
+    user: {
+        type: String,
+        required: true
+    },
+    kind: {
+        type: String,
+        enum: ['due-soon', 'overdue', 'escalation'],
+        required: true
+    },
+    task: {
+        type: String,
+        required: true
+    },
+    taskName: {
+        type: String,
+        default: ''
+    },
+    deadline: {
+        type: Date,
+        required: true
+    },
+    assignedUser: {
+        type: String,
+        default: ''
+    },
+    assignedUserName: {
+        type: String,
+        default: 'unassigned'
+    },
+    message: {
+        type: String,
+        default: ''
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+NotificationSchema.index({ user: 1, task: 1, kind: 1, deadline: 1 }, { unique: true });
+NotificationSchema.index({ user: 1, dateCreated: -1 });
+NotificationSchema.index({ task: 1 });
+
+
+module.exports = mongoose.model('Notification', NotificationSchema);
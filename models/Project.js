@@ -0,0 +1,33 @@
+var mongoose = require('mongoose');
+var versionPlugin = require('./plugins/version');
+
+// A team or project that tasks are filed under. Only members may be assigned
+// its tasks; see utils/projects.js.
+var ProjectSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    members: {
+        type: [String],
+        default: []
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+ProjectSchema.plugin(versionPlugin);
+
+// Every field clients may filter or sort on (see utils/query.js) is indexed.
+ProjectSchema.index({ name: 1 });
+ProjectSchema.index({ members: 1 });
+ProjectSchema.index({ dateCreated: 1 });
+
+
+module.exports = mongoose.model('Project', ProjectSchema);
@@ -1,13 +1,112 @@
 const mongoose = require("mongoose");
+const versionPlugin = require("./plugins/version");
+const softDeletePlugin = require("./plugins/softDelete");
+
+// See utils/recurrence.js for how these rules are parsed and expanded.
+const RecurrenceSchema = new mongoose.Schema({
+  freq: { type: String, enum: ["daily", "weekly", "monthly"], required: true },
+  interval: { type: Number, default: 1, min: 1 },
+  byDay: { type: [String], default: [] },
+  byMonthDay: { type: Number, default: null },
+  until: { type: Date, default: null },
+  count: { type: Number, default: null },
+}, { _id: false });
 
 const TaskSchema = new mongoose.Schema({
   name: { type: String, required: [true, "name is required"] },
   description: { type: String, default: "" },
   deadline: { type: Date, required: [true, "deadline is required"] },
   completed: { type: Boolean, default: false },
+  completedAt: { type: Date, default: null },
   assignedUser: { type: String, default: "" },
   assignedUserName: { type: String, default: "unassigned" },
   dateCreated: { type: Date, default: Date.now },
+  recurrence: { type: RecurrenceSchema, default: null },
+  seriesId: { type: String, default: "" },
+  occurrence: { type: Number, default: 1 },
+  // Optional on purpose: "" files the task under no project, as dbFill and
+  // every task created before projects existed do, and then anyone may be
+  // assigned it. See utils/projects.js.
+  project: { type: String, default: "" },
+  archived: { type: Boolean, default: false },
+  // See utils/dependencies.js. `subtasks` is maintained by the server.
+  parent: { type: String, default: "" },
+  blockedBy: { type: [String], default: [] },
+  subtasks: {
+    total: { type: Number, default: 0 },
+    completed: { type: Number, default: 0 },
+  },
+  // The last reminder stage utils/reminders.js has recorded for the current
+  // deadline and assignee ("" for none yet), so each run only reads the tasks
+  // that have reached a new one. Internal: never selected by default.
+  reminded: { type: String, enum: ["", "due-soon", "overdue", "escalation"], default: "", select: false },
+});
+
+TaskSchema.plugin(versionPlugin);
+TaskSchema.plugin(softDeletePlugin);
+
+// completedAt records when a task was last completed, whichever route saved
+// it; reopening the task clears it. Tasks completed before the field existed
+// have none and are left out of completion-time statistics.
+TaskSchema.pre("save", function (next) {
+  if (this.isNew || this.isModified("completed")) {
+    this.completedAt = this.completed ? (this.completedAt || new Date()) : null;
+  }
+  next();
+});
+
+// Moving the deadline, reassigning or reopening a task starts its reminders
+// over, however the change is written.
+const REMINDER_FIELDS = ["deadline", "assignedUser", "completed"];
+
+TaskSchema.pre("save", function (next) {
+  if (!this.isNew && REMINDER_FIELDS.some(f => this.isModified(f))) this.reminded = "";
+  next();
 });
 
+function resetReminders() {
+  const update = this.getUpdate() || {};
+  const set = update.$set || {};
+  if (REMINDER_FIELDS.some(f => f in set || f in update)) {
+    update.$set = Object.assign({}, set, { reminded: "" });
+    this.setUpdate(update);
+  }
+}
+
+TaskSchema.pre("updateOne", resetReminders);
+TaskSchema.pre("updateMany", resetReminders);
+TaskSchema.pre("findOneAndUpdate", resetReminders);
+
+// Keep the reset out of responses and audit snapshots.
+function hideReminded(doc, ret) {
+  delete ret.reminded;
+  return ret;
+}
+
+TaskSchema.set("toJSON", { transform: hideReminded });
+TaskSchema.set("toObject", { transform: hideReminded });
+
+// Every field clients may filter or sort on (see utils/query.js) is indexed.
+TaskSchema.index({ name: 1 });
+TaskSchema.index({ deadline: 1 });
+TaskSchema.index({ completed: 1, deadline: 1 });
+TaskSchema.index({ assignedUser: 1, completed: 1 });
+TaskSchema.index({ assignedUserName: 1 });
+TaskSchema.index({ dateCreated: 1 });
+TaskSchema.index({ seriesId: 1, occurrence: 1 });
+TaskSchema.index({ project: 1, completed: 1 });
+TaskSchema.index({ archived: 1 });
+TaskSchema.index({ parent: 1, completed: 1 });
+TaskSchema.index({ blockedBy: 1 });
+TaskSchema.index({ completedAt: 1 });
+TaskSchema.index({ completed: 1, reminded: 1, deadline: 1 });
+
+// Backs GET /api/tasks/search. Task names mix English and French, so the
+// index does no stemming or stop-word removal ("none"); text indexes are
+// case- and diacritic-insensitive either way, so "tache" finds "Tâche".
+TaskSchema.index(
+  { name: "text", description: "text" },
+  { name: "TaskTextIndex", weights: { name: 5, description: 1 }, default_language: "none" }
+);
+
 module.exports = mongoose.model("Task", TaskSchema);
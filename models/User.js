@@ -1,4 +1,6 @@
 var mongoose = require('mongoose');
+var versionPlugin = require('./plugins/version');
+var softDeletePlugin = require('./plugins/softDelete');
 
 var UserSchema = new mongoose.Schema({
     name: {
@@ -10,6 +12,15 @@ var UserSchema = new mongoose.Schema({
         required: true,
         unique: true
     },
+    passwordHash: {
+        type: String,
+        select: false
+    },
+    role: {
+        type: String,
+        enum: ['user', 'admin'],
+        default: 'user'
+    },
     pendingTasks: {
         type: [String],
         default: []
@@ -17,6 +28,29 @@ var UserSchema = new mongoose.Schema({
     dateCreated: {
         type: Date,
         default: Date.now
+    },
+    // While the user is in the trash: the tasks and projects they were taken
+    // off, so a restore can put them back.
+    trashed: {
+        tasks: { type: [String], default: undefined },
+        projects: { type: [String], default: undefined }
+    }
+});
+
+UserSchema.plugin(versionPlugin);
+UserSchema.plugin(softDeletePlugin);
+
+// Every field clients may filter or sort on (see utils/query.js) is indexed.
+UserSchema.index({ name: 1 });
+UserSchema.index({ role: 1 });
+UserSchema.index({ pendingTasks: 1 });
+UserSchema.index({ dateCreated: 1 });
+
+// Never send the password hash back, even when a handler selected it.
+UserSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        delete ret.passwordHash;
+        return ret;
     }
 });
 
@@ -0,0 +1,43 @@
+var mongoose = require('mongoose');
+
+var WebhookSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: true
+    },
+    // Event types from utils/events.js, or '*' for all of them.
+    events: {
+        type: [String],
+        default: ['*']
+    },
+    // Used to sign payloads, so it has to be kept in the clear.
+    secret: {
+        type: String,
+        required: true,
+        select: false
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: String,
+        default: null
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+WebhookSchema.index({ active: 1, events: 1 });
+
+WebhookSchema.set('toJSON', {
+    transform: function (doc, ret) {
+        delete ret.secret;
+        return ret;
+    }
+});
+
+
+module.exports = mongoose.model('Webhook', WebhookSchema);
@@ -0,0 +1,62 @@
+var mongoose = require('mongoose');
+
+var AttemptSchema = new mongoose.Schema({
+    at: {
+        type: Date,
+        default: Date.now
+    },
+    statusCode: {
+        type: Number,
+        default: null
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    durationMs: {
+        type: Number,
+        default: null
+    }
+}, { _id: false });
+
+var WebhookDeliverySchema = new mongoose.Schema({
+    webhook: {
+        type: String,
+        required: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    eventId: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'succeeded', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: [AttemptSchema],
+        default: []
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    dateCreated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+WebhookDeliverySchema.index({ webhook: 1, dateCreated: -1 });
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+
+module.exports = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
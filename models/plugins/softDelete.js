@@ -0,0 +1,28 @@
+// Soft delete: a document with a `deletedAt` is in the trash (see
+// utils/trash.js) and every query and aggregation leaves it out, so trashed
+// users and tasks vanish from all endpoints without each handler having to
+// remember. A query that names `deletedAt` itself (the trash, restore and
+// purge) is left alone. Deletes are not filtered; only the purge issues them.
+module.exports = function softDeletePlugin(schema) {
+    schema.add({ deletedAt: { type: Date, default: null } });
+    schema.index({ deletedAt: 1 });
+
+    function hideDeleted() {
+        const filter = this.getFilter();
+        if (!Object.prototype.hasOwnProperty.call(filter, 'deletedAt')) {
+            this.where({ deletedAt: null });
+        }
+    }
+
+    ['count', 'countDocuments', 'distinct', 'find', 'findOne', 'findOneAndUpdate',
+        'update', 'updateOne', 'updateMany'].forEach(function (op) {
+        schema.pre(op, hideDeleted);
+    });
+
+    schema.pre('aggregate', function () {
+        const first = this.pipeline()[0];
+        if (!(first && first.$match && Object.prototype.hasOwnProperty.call(first.$match, 'deletedAt'))) {
+            this.pipeline().unshift({ $match: { deletedAt: null } });
+        }
+    });
+};
@@ -0,0 +1,18 @@
+// Makes `__v` a true document version: every save() bumps it (and fails if
+// the stored version moved on, via optimisticConcurrency) and so does every
+// updateOne/updateMany/findOneAndUpdate. ETags are derived from it.
+module.exports = function versionPlugin(schema) {
+    schema.set('optimisticConcurrency', true);
+
+    function bumpVersion() {
+        const update = this.getUpdate() || {};
+        const key = schema.options.versionKey;
+        if (update.$set && key in update.$set) return;
+        update.$inc = Object.assign({}, update.$inc, { [key]: 1 });
+        this.setUpdate(update);
+    }
+
+    schema.pre('updateOne', bumpVersion);
+    schema.pre('updateMany', bumpVersion);
+    schema.pre('findOneAndUpdate', bumpVersion);
+};
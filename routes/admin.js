@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const { auditIntegrity, applyFixes } = require('../utils/integrity');
+const { withTransaction } = require('../utils/transaction');
+
+function isDryRun(req) {
+    const v = req.query.dryRun !== undefined ? req.query.dryRun : req.body.dryRun;
+    return v === true || v === 'true';
+}
+
+router.get('/integrity', async (req, res) => {
+    try {
+        const { summary, issues } = await auditIntegrity();
+        return res.status(200).json({ message: 'OK', data: { summary, issues } });
+    } catch {
+        return res.status(500).json({ message: 'Server Error while auditing integrity', data: null });
+    }
+});
+
+router.post('/integrity/repair', async (req, res) => {
+    try {
+        const dryRun = isDryRun(req);
+
+        const report = await withTransaction(async (session) => {
+            const report = await auditIntegrity(session);
+            if (!dryRun) await applyFixes(session, req, report.fixes);
+            return report;
+        });
+
+        return res.status(200).json({
+            message: dryRun ? 'Dry run: no changes applied' : 'Integrity repaired',
+            data: Object.assign({ dryRun }, report)
+        });
+    } catch {
+        return res.status(500).json({ message: 'Server Error while repairing integrity', data: null });
+    }
+});
+
+module.exports = router;
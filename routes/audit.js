@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const { sendAuditPage } = require('../utils/audit');
+
+function dateOrNull(value) {
+    if (typeof value !== 'string' || !value) return null;
+    const d = new Date(value);
+    return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+// Shorthand filters on top of where: entityType, entityId, action, actor (a
+// user or API key id), field (a changed field) and a since/until time range.
+router.get('/', (req, res) => {
+    const filter = {};
+    ['entityType', 'entityId', 'action'].forEach(key => {
+        if (typeof req.query[key] === 'string' && req.query[key]) filter[key] = req.query[key];
+    });
+    if (typeof req.query.actor === 'string' && req.query.actor) filter['actor.id'] = req.query.actor;
+    if (typeof req.query.field === 'string' && req.query.field) filter['changes.field'] = req.query.field;
+
+    const since = dateOrNull(req.query.since);
+    const until = dateOrNull(req.query.until);
+    if (since === undefined || until === undefined) {
+        return res.status(400).json({ message: 'Bad Request: since/until must be dates', data: null });
+    }
+    if (since || until) {
+        filter.timestamp = {};
+        if (since) filter.timestamp.$gte = since;
+        if (until) filter.timestamp.$lte = until;
+    }
+
+    return sendAuditPage(req, res, filter, { timestamp: -1 });
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { verifyPassword, signToken, generateApiKey, hashApiKey } = require('../utils/auth');
+const { isValidObjectId } = require('../utils/query');
+
+router.post('/login', async (req, res) => {
+    try {
+        const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+        const password = typeof req.body.password === 'string' ? req.body.password : '';
+
+        if (!email || !password) {
+            return res.status(400).json({ message: 'email and password are required', data: null });
+        }
+
+        const user = await User.findOne({ email }).select('+passwordHash');
+        if (!user || !(await verifyPassword(password, user.passwordHash))) {
+            return res.status(401).json({ message: 'Unauthorized: invalid email or password', data: null });
+        }
+
+        const token = signToken(user);
+        return res.status(200).json({ message: 'Logged in', data: { token, user } });
+    } catch {
+        return res.status(500).json({ message: 'Server Error while logging in', data: null });
+    }
+});
+
+router.get('/me', authenticate, async (req, res) => {
+    try {
+        const user = req.auth.userId ? await User.findById(req.auth.userId) : null;
+        return res.status(200).json({ message: 'OK', data: Object.assign({}, req.auth, { user }) });
+    } catch {
+        return res.status(500).json({ message: 'Server Error while fetching current user', data: null });
+    }
+});
+
+router.get('/api-keys', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const keys = await ApiKey.find({}).sort({ dateCreated: -1 });
+        return res.status(200).json({ message: 'OK', data: keys });
+    } catch {
+        return res.status(500).json({ message: 'Server Error while fetching API keys', data: null });
+    }
+});
+
+router.post('/api-keys', authenticate, requireAdmin, async (req, res) => {
+    try {
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        const role = req.body.role === undefined ? 'service' : req.body.role;
+
+        if (!name) {
+            return res.status(400).json({ message: 'name is required', data: null });
+        }
+        if (!['service', 'admin'].includes(role)) {
+            return res.status(400).json({ message: 'Bad Request: role must be service or admin', data: null });
+        }
+
+        const key = generateApiKey();
+        const apiKey = new ApiKey({ name, role, prefix: key.slice(0, 12), keyHash: hashApiKey(key) });
+        await apiKey.save();
+
+        return res.status(201).json({
+            message: 'API key created; store it now, it will not be shown again',
+            data: Object.assign(apiKey.toJSON(), { key })
+        });
+    } catch {
+        return res.status(500).json({ message: 'Server Error while creating API key', data: null });
+    }
+});
+
+router.delete('/api-keys/:id', authenticate, requireAdmin, async (req, res) => {
+    try {
+        if (!isValidObjectId(req.params.id)) {
+            return res.status(400).json({ message: 'Bad Request: invalid API key id', data: null });
+        }
+        const key = await ApiKey.findByIdAndUpdate(req.params.id, { $set: { revoked: true } });
+        if (!key) return res.status(404).json({ message: 'API key not found', data: null });
+        return res.status(204).json({ message: 'API key revoked', data: null });
+    } catch {
+        return res.status(500).json({ message: 'Server Error while revoking API key', data: null });
+    }
+});
+
+module.exports = router;
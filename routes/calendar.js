@@ -0,0 +1,114 @@
+const express = require('express');
+const router = express.Router();
+const CalendarFeed = require('../models/CalendarFeed');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { ApiError, sendApiError } = require('../utils/errors');
+const { parseListQuery, isValidObjectId, MAX_LIMIT, QUERY_MAX_TIME_MS } = require('../utils/query');
+const { generateFeedToken, hashApiKey } = require('../utils/auth');
+const { sendCalendar } = require('../utils/ical');
+const { withoutArchived } = require('../utils/projects');
+const { authenticate, isAdmin } = require('../middleware/auth');
+
+// Calendar subscriptions. GET /api/calendar/<token>.ics is deliberately
+// unauthenticated, since calendar clients poll a plain URL; the token is the
+// credential, and revoking the subscription turns the URL off.
+
+function feedUrl(req, token) {
+    return `${req.protocol}://${req.get('host')}${req.baseUrl}/${token}.ics`;
+}
+
+// Non-admins only see and revoke the subscriptions they created.
+function ownerFilter(req) {
+    return isAdmin(req.auth) ? {} : { 'owner.id': req.auth.userId || req.auth.keyId };
+}
+
+// Mongo filter for a feed's tasks: the user's tasks, or the stored where.
+function feedFilter(feed) {
+    if (feed.user) return withoutArchived({ assignedUser: feed.user });
+    return withoutArchived(parseListQuery(Task, { where: feed.where }).where);
+}
+
+router.get('/:token.ics', async (req, res) => {
+    try {
+        const feed = await CalendarFeed.findOneAndUpdate(
+            { tokenHash: hashApiKey(req.params.token), revoked: false },
+            { $set: { lastUsed: new Date() } }
+        );
+        if (!feed) return res.status(404).json({ message: 'Calendar feed not found', data: null });
+
+        const tasks = await Task.find(feedFilter(feed)).sort({ deadline: 1, _id: 1 })
+            .limit(MAX_LIMIT).maxTimeMS(QUERY_MAX_TIME_MS).lean();
+        return sendCalendar(res, tasks, feed.name);
+    } catch {
+        return res.status(500).json({ message: 'Server Error while rendering calendar feed', data: null });
+    }
+});
+
+router.get('/subscriptions', authenticate, async (req, res) => {
+    try {
+        const feeds = await CalendarFeed.find(ownerFilter(req)).sort({ dateCreated: -1 });
+        return res.status(200).json({ message: 'OK', data: feeds });
+    } catch {
+        return res.status(500).json({ message: 'Server Error while fetching calendar subscriptions', data: null });
+    }
+});
+
+// Body: { user } for one user's deadlines, or { where } for a filtered task
+// list; `name` is the calendar's display name.
+router.post('/subscriptions', authenticate, async (req, res) => {
+    try {
+        const userId = typeof req.body.user === 'string' ? req.body.user.trim() : '';
+        const where = req.body.where === undefined ? '{}'
+            : (typeof req.body.where === 'string' ? req.body.where : JSON.stringify(req.body.where));
+        let name = typeof req.body.name === 'string' && req.body.name.trim() ? req.body.name.trim() : '';
+
+        if (userId) {
+            if (req.body.where !== undefined) throw new ApiError(400, 'Bad Request: give either user or where, not both');
+            if (!isValidObjectId(userId)) throw new ApiError(400, 'Bad Request: user is not a valid id');
+            const user = await User.findById(userId);
+            if (!user) throw new ApiError(400, 'Bad Request: user does not exist');
+            name = name || `Tasks of ${user.name}`;
+        } else {
+            parseListQuery(Task, { where });
+            name = name || 'Tasks';
+        }
+
+        const token = generateFeedToken();
+        const feed = new CalendarFeed({
+            name,
+            user: userId,
+            where: userId ? '{}' : where,
+            owner: { kind: req.auth.type, id: req.auth.userId || req.auth.keyId },
+            prefix: token.slice(0, 12),
+            tokenHash: hashApiKey(token)
+        });
+        await feed.save();
+
+        return res.status(201).json({
+            message: 'Calendar subscription created; store the URL now, it will not be shown again',
+            data: Object.assign(feed.toJSON(), { url: feedUrl(req, token) })
+        });
+    } catch (err) {
+        if (err instanceof ApiError) return sendApiError(res, err);
+        return res.status(500).json({ message: 'Server Error while creating calendar subscription', data: null });
+    }
+});
+
+router.delete('/subscriptions/:id', authenticate, async (req, res) => {
+    try {
+        if (!isValidObjectId(req.params.id)) {
+            return res.status(400).json({ message: 'Bad Request: invalid subscription id', data: null });
+        }
+        const feed = await CalendarFeed.findOneAndUpdate(
+            Object.assign({ _id: req.params.id }, ownerFilter(req)),
+            { $set: { revoked: true } }
+        );
+        if (!feed) return res.status(404).json({ message: 'Calendar subscription not found', data: null });
+        return res.status(204).json({ message: 'Calendar subscription revoked', data: null });
+    } catch {
+        return res.status(500).json({ message: 'Server Error while revoking calendar subscription', data: null });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+const router = express.Router();
+const { document } = require('../utils/openapi');
+
+// The OpenAPI document, and Swagger UI pointed at it for trying requests out
+// from the browser (use Authorize with a login token or an API key). Swagger
+// UI comes from the swagger-ui-dist package pinned in package.json and is
+// served from here, so the page works offline and cannot change under us.
+function page(base) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>${document.info.title}</title>
+    <link rel="stylesheet" href="${base}/docs/assets/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="${base}/docs/assets/swagger-ui-bundle.js"></script>
+    <script>
+        SwaggerUIBundle({ url: '${base}/openapi.json', dom_id: '#swagger-ui', persistAuthorization: true });
+    </script>
+</body>
+</html>
+`;
+}
+
+router.get('/openapi.json', function (req, res) {
+    res.json(document);
+});
+
+router.get('/docs', function (req, res) {
+    res.type('html').send(page(req.baseUrl));
+});
+
+router.use('/docs/assets', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+module.exports = router;
@@ -0,0 +1,151 @@
+const express = require('express');
+const router = express.Router();
+const AuditEntry = require('../models/AuditEntry');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const { toEvent, subscribe } = require('../utils/events');
+const { isValidObjectId } = require('../utils/query');
+const { isAdmin } = require('../middleware/auth');
+
+// Server-Sent Events feed of committed user/task/project changes. Event ids
+// are audit entry ids, so a client reconnecting with Last-Event-ID gets
+// everything it missed replayed from the audit log before the live stream
+// resumes. Admins see every change; anyone else only changes to their own
+// user record and to tasks assigned to them before or after the change.
+
+const HEARTBEAT_MS = 15000;
+const REPLAY_LIMIT = 1000;
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+function listParam(value) {
+    if (typeof value !== 'string' || !value) return null;
+    return value.split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// Builds the predicate for ?types=, ?resource=, ?resourceId= and ?assignedUser=.
+function eventFilter(query) {
+    const types = listParam(query.types);
+    const resource = typeof query.resource === 'string' && query.resource ? query.resource : null;
+    const resourceId = typeof query.resourceId === 'string' && query.resourceId ? query.resourceId : null;
+    const assignedUser = typeof query.assignedUser === 'string' && query.assignedUser ? query.assignedUser : null;
+
+    return (event) => {
+        if (types && !event.types.some(t => types.includes(t))) return false;
+        if (resource && event.resource !== resource) return false;
+        if (resourceId && event.resourceId !== resourceId) return false;
+        if (assignedUser) {
+            if (event.resource === 'user') return event.resourceId === assignedUser;
+            const now = event.data && event.data.assignedUser;
+            const then = event.previous && event.previous.assignedUser;
+            if (now !== assignedUser && then !== assignedUser) return false;
+        }
+        return true;
+    };
+}
+
+function visibleTo(auth) {
+    if (isAdmin(auth)) return () => true;
+    const userId = auth.userId;
+    if (!userId) return () => false;
+    return (event) => {
+        if (event.resource === 'user') return event.resourceId === userId;
+        if (event.resource !== 'task') return false;
+        return [event.data, event.previous].some(doc => Boolean(doc) && doc.assignedUser === userId);
+    };
+}
+
+// Replayed events carry the document as it is now (the audit log only keeps
+// the changed fields and the previous version), which is what a reconnecting
+// client wants anyway. `truncated` says the replay stopped at REPLAY_LIMIT.
+async function missedEvents(lastEventId) {
+    const entries = await AuditEntry.find({ _id: { $gt: lastEventId } }).select('+previous').sort({ _id: 1 }).limit(REPLAY_LIMIT);
+    const models = { Task, User, Project };
+    const ids = { Task: new Set(), User: new Set(), Project: new Set() };
+    entries.forEach(e => ids[e.entityType].add(e.entityId));
+
+    const found = await Promise.all(Object.keys(models).map(name =>
+        models[name].find({ _id: { $in: [...ids[name]] } }).lean()));
+    const docs = new Map([].concat(...found).map(d => [d._id.toString(), JSON.parse(JSON.stringify(d))]));
+
+    return {
+        events: entries.map(e => toEvent(e, e.previous, e.action === 'delete' ? null : (docs.get(e.entityId) || null))),
+        truncated: entries.length === REPLAY_LIMIT
+    };
+}
+
+function writeEvent(res, event) {
+    return res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+router.get('/', async (req, res) => {
+    const visible = visibleTo(req.auth);
+    const filter = eventFilter(req.query);
+    const matches = event => visible(event) && filter(event);
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+    if (lastEventId !== undefined && !isValidObjectId(lastEventId)) {
+        return res.status(400).json({ message: 'Bad Request: Last-Event-ID is not a valid event id', data: null });
+    }
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: 5000\n\n`);
+
+    let closed = false;
+    let replaying = Boolean(lastEventId);
+    const queued = [];
+
+    // Live events go out as they are published. Transactions can commit out
+    // of id order, so ids are not compared; only events already replayed are
+    // skipped from the ones queued meanwhile.
+    function send(event) {
+        if (closed || !matches(event)) return;
+        writeEvent(res, event);
+        // A client that stops reading is dropped rather than buffered forever;
+        // it can reconnect with Last-Event-ID.
+        if (res.writableLength > MAX_BUFFERED_BYTES) {
+            closed = true;
+            res.end();
+        }
+    }
+
+    const unsubscribe = subscribe(event => {
+        if (replaying) queued.push(event);
+        else send(event);
+    });
+    const heartbeat = setInterval(() => { if (!closed) res.write(': heartbeat\n\n'); }, HEARTBEAT_MS);
+
+    req.on('close', () => {
+        closed = true;
+        unsubscribe();
+        clearInterval(heartbeat);
+    });
+
+    if (replaying) {
+        const replayed = new Set();
+        try {
+            const missed = await missedEvents(lastEventId);
+            missed.events.forEach(event => {
+                replayed.add(event.id);
+                send(event);
+            });
+            if (missed.truncated && !closed) {
+                const message = `Replay stopped after ${REPLAY_LIMIT} events; reload to resync`;
+                const last = missed.events[missed.events.length - 1].id;
+                res.write(`event: replay-truncated\ndata: ${JSON.stringify({ message, lastEventId: last })}\n\n`);
+            }
+        } catch {
+            res.write(`event: error\ndata: ${JSON.stringify({ message: 'Could not replay missed events' })}\n\n`);
+        }
+        replaying = false;
+        queued.splice(0).filter(event => !replayed.has(event.id)).forEach(send);
+    }
+});
+
+module.exports = router;
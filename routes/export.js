@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const { once } = require('events');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const { FORMATS, userRecord, projectRecord, taskRecord, serialize, header } = require('../utils/transfer');
+
+const CONTENT_TYPES = { csv: 'text/csv; charset=utf-8', ndjson: 'application/x-ndjson; charset=utf-8' };
+
+// Writes a chunk, waiting for the socket to drain when its buffer is full. A
+// client that disconnects never drains it, so closing rejects instead.
+async function write(res, chunk) {
+    if (res.destroyed) throw new Error('the client disconnected');
+    if (res.write(chunk)) return;
+    const ac = new AbortController();
+    try {
+        await Promise.race([
+            once(res, 'drain', { signal: ac.signal }),
+            once(res, 'close', { signal: ac.signal }).then(() => { throw new Error('the client disconnected'); })
+        ]);
+    } finally {
+        ac.abort();
+    }
+}
+
+// Streams every user, then every project, then every task, as CSV or NDJSON
+// (?format=, default csv) in the format POST /api/import reads back.
+router.get('/', async (req, res) => {
+    const format = req.query.format === undefined ? 'csv' : req.query.format;
+    if (!FORMATS.includes(format)) {
+        return res.status(400).json({ message: `Bad Request: format must be one of ${FORMATS.join(', ')}`, data: null });
+    }
+
+    try {
+        // Emails are needed to write each task's assignee, so users go first.
+        const emailById = new Map();
+        const users = User.find({}).sort({ _id: 1 }).lean().cursor();
+
+        res.status(200).set({
+            'Content-Type': CONTENT_TYPES[format],
+            'Content-Disposition': `attachment; filename="export.${format}"`
+        });
+        await write(res, header(format));
+
+        for await (const user of users) {
+            emailById.set(String(user._id), user.email);
+            await write(res, serialize(userRecord(user), format));
+        }
+        const projectIds = new Set();
+        for await (const project of Project.find({}).sort({ _id: 1 }).lean().cursor()) {
+            projectIds.add(String(project._id));
+            await write(res, serialize(projectRecord(project, emailById), format));
+        }
+        // Subtasks and blockers may come before the task they point at.
+        const taskIds = new Set((await Task.find({}).select({ _id: 1 }).lean()).map(t => String(t._id)));
+        for await (const task of Task.find({}).sort({ _id: 1 }).lean().cursor()) {
+            await write(res, serialize(taskRecord(task, { emailById, projectIds, taskIds }), format));
+        }
+        return res.end();
+    } catch {
+        // Once rows have gone out the status cannot change any more; cutting
+        // the response short tells the client the export is incomplete.
+        if (res.headersSent) return res.destroy();
+        return res.status(500).json({ message: 'Server Error while exporting', data: null });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const { ApiError, sendApiError } = require('../utils/errors');
+const { withTransaction } = require('../utils/transaction');
+const { FORMATS, MAX_IMPORT_ROWS, parseRecords, planImport, applyImport } = require('../utils/transfer');
+
+const BODY_TYPES = ['text/csv', 'application/x-ndjson', 'application/ndjson', 'text/plain'];
+
+router.use(express.text({ type: BODY_TYPES, limit: '10mb' }));
+
+function formatOf(req) {
+    if (req.query.format !== undefined) return req.query.format;
+    return req.is('application/x-ndjson') || req.is('application/ndjson') ? 'ndjson' : 'csv';
+}
+
+// Imports a CSV or NDJSON file in the GET /api/export format. Every row is
+// validated first; with ?dryRun=true the report is all that comes back, and
+// otherwise a single invalid row rejects the whole file, so an import is
+// either applied completely or not at all.
+router.post('/', async (req, res) => {
+    try {
+        const format = formatOf(req);
+        if (!FORMATS.includes(format)) {
+            throw new ApiError(400, `Bad Request: format must be one of ${FORMATS.join(', ')}`);
+        }
+        if (typeof req.body !== 'string' || !req.body.trim()) {
+            throw new ApiError(400, `Bad Request: send the file as ${BODY_TYPES.slice(0, 2).join(' or ')}`);
+        }
+
+        const parsed = parseRecords(req.body, format);
+        if (parsed.length > MAX_IMPORT_ROWS) {
+            throw new ApiError(400, `Bad Request: an import is limited to ${MAX_IMPORT_ROWS} rows`);
+        }
+
+        if (req.query.dryRun === 'true') {
+            const { report } = await planImport(parsed);
+            return res.status(200).json({
+                message: report.errors.length ? 'Dry run: the import would be rejected' : 'Dry run: nothing was imported',
+                data: Object.assign({ dryRun: true }, report)
+            });
+        }
+
+        const report = await withTransaction(async (session) => {
+            const plan = await planImport(parsed, session);
+            if (plan.report.errors.length) {
+                throw new ApiError(400, `Bad Request: ${plan.report.errors.length} invalid rows; nothing was imported`,
+                    Object.assign({ dryRun: false }, plan.report));
+            }
+            await applyImport(session, req, plan);
+            return plan.report;
+        });
+
+        return res.status(201).json({ message: 'Imported', data: Object.assign({ dryRun: false }, report) });
+    } catch (err) {
+        if (err instanceof ApiError) return sendApiError(res, err);
+        return res.status(500).json({ message: 'Server Error while importing', data: null });
+    }
+});
+
+module.exports = router;
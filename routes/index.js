@@ -1,8 +1,23 @@
 /*
  * Connect all of your endpoints together here.
  */
+const { authenticate, requireAdmin, tokenFromQuery } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
 module.exports = function (app) {
     app.use('/api', require('./home.js'));
-    app.use('/api/users', require('./users.js'));
-    app.use('/api/tasks', require('./tasks.js'));
+    app.use('/api', require('./docs.js'));
+    app.use('/api/auth', validate, require('./auth.js'));
+    app.use('/api/users', authenticate, validate, require('./users.js'));
+    app.use('/api/tasks', authenticate, validate, require('./tasks.js'));
+    app.use('/api/projects', authenticate, validate, require('./projects.js'));
+    app.use('/api/stats', authenticate, validate, require('./stats.js'));
+    app.use('/api/trash', authenticate, validate, require('./trash.js'));
+    app.use('/api/admin', authenticate, requireAdmin, validate, require('./admin.js'));
+    app.use('/api/audit', authenticate, requireAdmin, validate, require('./audit.js'));
+    app.use('/api/export', authenticate, requireAdmin, validate, require('./export.js'));
+    app.use('/api/import', authenticate, requireAdmin, validate, require('./import.js'));
+    app.use('/api/webhooks', authenticate, requireAdmin, validate, require('./webhooks.js'));
+    app.use('/api/calendar', validate, require('./calendar.js'));
+    app.use('/api/events', tokenFromQuery, authenticate, validate, require('./events.js'));
 };
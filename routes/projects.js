@@ -0,0 +1,273 @@
+const express = require('express');
+const router = express.Router();
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { ApiError, sendApiError } = require('../utils/errors');
+const { withTransaction } = require('../utils/transaction');
+const { paginate, setPaginationHeaders } = require('../utils/pagination');
+const { parseListQuery, parseSelect, isValidObjectId, isQueryTimeout, QUERY_MAX_TIME_MS } = require('../utils/query');
+const { applyPatch } = require('../utils/patch');
+const { etagFor, isNotModified, checkIfMatch, withVersion, stripVersion } = require('../utils/etag');
+const { recordChange, updateAudited, snapshot, historyHandler } = require('../utils/audit');
+const { withoutArchived, taskCounts } = require('../utils/projects');
+const { isAdmin } = require('../middleware/auth');
+
+// Only members of a project or an admin may change or remove it.
+function checkCanModify(req, project) {
+    if (!isAdmin(req.auth) && !project.members.includes(req.auth.userId)) {
+        throw new ApiError(403, 'Forbidden: only project members or an admin can modify this project');
+    }
+}
+
+function sendListError(res, err, what) {
+    if (err instanceof ApiError) return sendApiError(res, err);
+    if (isQueryTimeout(err)) {
+        return res.status(400).json({ message: 'Bad Request: where matched too broadly and exceeded the query time limit', data: null });
+    }
+    return res.status(500).json({ message: `Server Error while fetching ${what}`, data: null });
+}
+
+router.get('/', async (req, res) => {
+    try {
+        const { where, sort, select, skip, limit, count, cursor } = parseListQuery(Project, req.query);
+
+        if (count) {
+            const total = await Project.countDocuments(where).maxTimeMS(QUERY_MAX_TIME_MS);
+            return res.status(200).json({ message: 'OK', data: total });
+        }
+
+        const page = await paginate(Project, { where, sort, select, skip, limit, cursor, maxTimeMS: QUERY_MAX_TIME_MS });
+        const pagination = setPaginationHeaders(req, res, page, { skip, limit });
+        return res.status(200).json({ message: 'OK', data: page.docs, pagination });
+    } catch (err) {
+        return sendListError(res, err, 'projects');
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        const select = parseSelect(Project, req.query);
+        const project = await Project.findById(req.params.id).select(withVersion(select));
+        if (!project) return res.status(404).json({ message: 'Project not found', data: null });
+
+        const etag = etagFor({ _id: project._id || req.params.id, __v: project.__v });
+        res.set('ETag', etag);
+        if (isNotModified(req, etag)) return res.status(304).end();
+
+        return res.status(200).json({ message: 'OK', data: stripVersion(project, select) });
+    } catch (err) {
+        if (err instanceof ApiError) return sendApiError(res, err);
+        return res.status(400).json({ message: 'Bad Request: invalid project id', data: null });
+    }
+});
+
+router.get('/:id/history', historyHandler(Project));
+
+// The project's tasks, with the same where/sort/select/paging as GET /api/tasks.
+router.get('/:id/tasks', async (req, res) => {
+    try {
+        if (!isValidObjectId(req.params.id)) throw new ApiError(400, 'Bad Request: invalid project id');
+        const project = await Project.findById(req.params.id).select({ _id: 1 });
+        if (!project) return res.status(404).json({ message: 'Project not found', data: null });
+
+        const query = parseListQuery(Task, req.query);
+        const { sort, select, skip, limit, count, cursor } = query;
+        const where = withoutArchived({ $and: [query.where, { project: req.params.id }] });
+
+        if (count) {
+            const total = await Task.countDocuments(where).maxTimeMS(QUERY_MAX_TIME_MS);
+            return res.status(200).json({ message: 'OK', data: total });
+        }
+
+        const page = await paginate(Task, { where, sort, select, skip, limit, cursor, maxTimeMS: QUERY_MAX_TIME_MS });
+        const pagination = setPaginationHeaders(req, res, page, { skip, limit });
+        return res.status(200).json({ message: 'OK', data: page.docs, pagination });
+    } catch (err) {
+        return sendListError(res, err, 'project tasks');
+    }
+});
+
+router.get('/:id/counts', async (req, res) => {
+    try {
+        if (!isValidObjectId(req.params.id)) throw new ApiError(400, 'Bad Request: invalid project id');
+        const project = await Project.findById(req.params.id).select({ _id: 1 });
+        if (!project) return res.status(404).json({ message: 'Project not found', data: null });
+
+        return res.status(200).json({ message: 'OK', data: await taskCounts(req.params.id) });
+    } catch (err) {
+        if (err instanceof ApiError) return sendApiError(res, err);
+        return res.status(500).json({ message: 'Server Error while counting project tasks', data: null });
+    }
+});
+
+// Reads the writable project fields out of a full representation: a request
+// body or a patched copy of the stored project.
+function projectFields(source) {
+    return {
+        name: typeof source.name === 'string' ? source.name.trim() : '',
+        description: typeof source.description === 'string' ? source.description : '',
+        members: Array.isArray(source.members) ? source.members : undefined
+    };
+}
+
+async function checkMembers(session, members) {
+    const ids = [...new Set(members.map(String))];
+    if (!ids.every(isValidObjectId)) throw new ApiError(400, 'Bad Request: members contains an invalid user id');
+    const found = await User.countDocuments({ _id: { $in: ids } }).session(session);
+    if (found !== ids.length) throw new ApiError(400, 'Bad Request: members contains a user that does not exist');
+    return ids;
+}
+
+// Writes name/description/members onto a loaded project. A member who still
+// has open tasks in the project cannot be removed until they are reassigned.
+async function saveProject(req, session, project, fields) {
+    if (!fields.name) throw new ApiError(400, 'name is required');
+
+    const before = snapshot(project);
+    const members = fields.members !== undefined ? await checkMembers(session, fields.members) : project.members;
+    const removed = project.members.filter(id => !members.includes(id));
+
+    if (removed.length) {
+        const stuck = await Task.distinct('assignedUser', {
+            project: project._id.toString(), assignedUser: { $in: removed }, completed: false, archived: { $ne: true }
+        }).session(session);
+        if (stuck.length) {
+            throw new ApiError(409, 'Conflict: reassign the open tasks of removed members first', { members: stuck });
+        }
+    }
+
+    project.name = fields.name;
+    project.description = fields.description;
+    project.members = members;
+    await project.save();
+    await recordChange(session, req, Project, before, snapshot(project));
+    return project;
+}
+
+function sendUpdateError(res, err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
+    const msg = err.name === 'CastError'
+        ? 'Bad Request: invalid project id'
+        : 'Server Error while updating project';
+    const code = err.name === 'CastError' ? 400 : 500;
+    return res.status(code).json({ message: msg, data: null });
+}
+
+// The creator, when a logged-in user, becomes the first member.
+router.post('/', async (req, res) => {
+    try {
+        const fields = projectFields(req.body);
+        if (!fields.name) {
+            return res.status(400).json({ message: 'name is required', data: null });
+        }
+
+        const project = await withTransaction(async (session) => {
+            const members = await checkMembers(session, (fields.members || [])
+                .concat(req.auth.userId ? [req.auth.userId] : []));
+
+            const project = new Project({ name: fields.name, description: fields.description, members });
+            await project.save({ session });
+            await recordChange(session, req, Project, null, snapshot(project));
+            return project;
+        });
+
+        res.set('ETag', etagFor(project));
+        return res.status(201).json({ message: 'Project created', data: project });
+    } catch (err) {
+        if (err instanceof ApiError) return sendApiError(res, err);
+        return res.status(500).json({ message: 'Server Error while creating project', data: null });
+    }
+});
+
+router.put('/:id', async (req, res) => {
+    try {
+        const fields = projectFields(req.body);
+        if (!fields.name) {
+            return res.status(400).json({ message: 'name is required', data: null });
+        }
+
+        const project = await withTransaction(async (session) => {
+            const project = await Project.findById(req.params.id).session(session);
+            if (!project) throw new ApiError(404, 'Project not found');
+            checkIfMatch(req, project);
+            checkCanModify(req, project);
+
+            return saveProject(req, session, project, fields);
+        });
+
+        res.set('ETag', etagFor(project));
+        return res.status(200).json({ message: 'Project updated', data: project });
+    } catch (err) {
+        return sendUpdateError(res, err);
+    }
+});
+
+router.patch('/:id', async (req, res) => {
+    try {
+        const project = await withTransaction(async (session) => {
+            const project = await Project.findById(req.params.id).session(session);
+            if (!project) throw new ApiError(404, 'Project not found');
+            checkIfMatch(req, project);
+            checkCanModify(req, project);
+
+            const current = JSON.parse(JSON.stringify(project));
+            const patched = applyPatch(req, current, { immutable: ['_id', 'dateCreated', '__v'] });
+
+            const fields = projectFields(patched);
+            if (fields.members === undefined) fields.members = [];
+
+            return saveProject(req, session, project, fields);
+        });
+
+        res.set('ETag', etagFor(project));
+        return res.status(200).json({ message: 'Project updated', data: project });
+    } catch (err) {
+        return sendUpdateError(res, err);
+    }
+});
+
+// Deleting a project archives its tasks instead of deleting them: they drop
+// out of every listing and off their assignees' pendingTasks, but keep their
+// history and can still be fetched by id.
+router.delete('/:id', async (req, res) => {
+    try {
+        await withTransaction(async (session) => {
+            const project = await Project.findById(req.params.id).session(session);
+            if (!project) throw new ApiError(404, 'Project not found');
+            checkIfMatch(req, project);
+            checkCanModify(req, project);
+
+            const projectId = project._id.toString();
+            const open = await Task.find({ project: projectId, archived: { $ne: true }, completed: false })
+                .select({ _id: 1 }).session(session).lean();
+            const openIds = open.map(t => t._id.toString());
+
+            await updateAudited(
+                session, req, Task,
+                { project: projectId, archived: { $ne: true } },
+                { $set: { archived: true } },
+                { many: true }
+            );
+
+            if (openIds.length) {
+                await updateAudited(
+                    session, req, User,
+                    { pendingTasks: { $in: openIds } },
+                    { $pull: { pendingTasks: { $in: openIds } } },
+                    { many: true }
+                );
+            }
+
+            await Project.deleteOne({ _id: project._id }, { session });
+            await recordChange(session, req, Project, snapshot(project), null);
+        });
+
+        return res.status(204).json({ message: 'Project deleted', data: null });
+    } catch (err) {
+        if (err instanceof ApiError) return sendApiError(res, err);
+        return res.status(400).json({ message: 'Bad Request: invalid project id', data: null });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const { ApiError, sendApiError } = require('../utils/errors');
+const { isQueryTimeout } = require('../utils/query');
+const stats = require('../utils/stats');
+
+const MAX_OVERDUE = 1000;
+
+// Every report accepts ?user= and ?project=; the period-based ones also take
+// ?from=/?to= (default: the last 30 days) and ?interval=day|week.
+function report(build, what) {
+    return async (req, res) => {
+        try {
+            const scope = stats.parseScope(req.query);
+            const data = await build(scope, req);
+            return res.status(200).json({ message: 'OK', data });
+        } catch (err) {
+            if (err instanceof ApiError) return sendApiError(res, err);
+            if (isQueryTimeout(err)) {
+                return res.status(400).json({ message: 'Bad Request: the report exceeded the query time limit; narrow it down', data: null });
+            }
+            return res.status(500).json({ message: `Server Error while computing ${what}`, data: null });
+        }
+    };
+}
+
+router.get('/overview', report(stats.overview, 'overview'));
+
+router.get('/users', report(stats.byUser, 'per-user statistics'));
+
+router.get('/completions', report(stats.completions, 'completion statistics'));
+
+router.get('/burndown', report(stats.burndown, 'burndown'));
+
+router.get('/overdue', report((scope, req) => {
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_OVERDUE) {
+        throw new ApiError(400, `Bad Request: limit must be a whole number from 1 to ${MAX_OVERDUE}`);
+    }
+    return stats.overdue(scope, limit);
+}, 'overdue tasks'));
+
+module.exports = router;
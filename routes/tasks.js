@@ -1,230 +1,638 @@
 const express = require('express');
 const router = express.Router();
-const mongoose = require('mongoose');
 const Task = require('../models/Task');
 const User = require('../models/User');
-
-function parseJSONParam(value, fallback = {}) {
-    if (value === undefined) return fallback;
-    try { return JSON.parse(value); }
-    catch { throw new Error('Invalid JSON in query parameter'); }
-}
-
-function intOrUndefined(v) {
-    if (v === undefined) return undefined;
-    const n = parseInt(v, 10);
-    return Number.isNaN(n) ? undefined : n;
-}
-
-function isValidObjectId(id) {
-    return typeof id === 'string' && mongoose.Types.ObjectId.isValid(id);
+const { ApiError, sendApiError } = require('../utils/errors');
+const { withTransaction } = require('../utils/transaction');
+const { paginate, setPaginationHeaders } = require('../utils/pagination');
+const { parseListQuery, parseSelect, isValidObjectId, isQueryTimeout, MAX_LIMIT, QUERY_MAX_TIME_MS } = require('../utils/query');
+const { applyPatch } = require('../utils/patch');
+const { parseRecurrence, nextOccurrence, upcomingOccurrences } = require('../utils/recurrence');
+const { etagFor, isNotModified, checkIfMatch, withVersion, stripVersion } = require('../utils/etag');
+const { recordChange, updateAudited, snapshot, historyHandler } = require('../utils/audit');
+const { isAdmin, requireAdmin } = require('../middleware/auth');
+const { highlight } = require('../utils/highlight');
+const { sendCalendar } = require('../utils/ical');
+const { checkAssignable, withoutArchived } = require('../utils/projects');
+const { checkParent, checkBlockers, openBlockers, refreshSubtasks, dependencyGraph } = require('../utils/dependencies');
+const { parseOptions, planAssignments } = require('../utils/autoAssign');
+const { findTrashed, findAny, trashTask, restoreTask, purgeTask } = require('../utils/trash');
+const { parseBatch, runBatch } = require('../utils/batch');
+
+const MAX_SEARCH_LENGTH = 200;
+
+// Only the task's assignee or an admin may change or remove it.
+function checkCanModify(req, task) {
+    const ownerId = task.assignedUser ? String(task.assignedUser) : '';
+    if (!isAdmin(req.auth) && (!ownerId || ownerId !== req.auth.userId)) {
+        throw new ApiError(403, 'Forbidden: only the assignee or an admin can modify this task');
+    }
 }
 
 router.get('/', async (req, res) => {
     try {
-        const where = parseJSONParam(req.query.where, {});
-        const sort = parseJSONParam(req.query.sort, {});
-        const select = parseJSONParam(req.query.select, {});
-        const skip = intOrUndefined(req.query.skip) || 0;
-        const limit = intOrUndefined(req.query.limit);
-        const count = req.query.count === 'true';
-
-        let q = Task.find(where);
-        if (Object.keys(sort).length) q = q.sort(sort);
-        if (Object.keys(select).length) q = q.select(select);
-        if (skip) q = q.skip(skip);
-        if (limit !== undefined) q = q.limit(limit);
+        const query = parseListQuery(Task, req.query);
+        const { sort, select, skip, limit, count, cursor } = query;
+        const where = withoutArchived(query.where);
 
         if (count) {
-            const pageDocs = await q.select({ _id: 1 }).lean().exec();
-            return res.status(200).json({ message: 'OK', data: pageDocs.length });
+            const total = await Task.countDocuments(where).maxTimeMS(QUERY_MAX_TIME_MS);
+            return res.status(200).json({ message: 'OK', data: total });
         }
 
-        const tasks = await q.exec();
-        return res.status(200).json({ message: 'OK', data: tasks });
+        const page = await paginate(Task, { where, sort, select, skip, limit, cursor, maxTimeMS: QUERY_MAX_TIME_MS });
+        const pagination = setPaginationHeaders(req, res, page, { skip, limit });
+        return res.status(200).json({ message: 'OK', data: page.docs, pagination });
+
+    } catch (err) {
+        if (err instanceof ApiError) return sendApiError(res, err);
+        if (isQueryTimeout(err)) {
+            return res.status(400).json({ message: 'Bad Request: where matched too broadly and exceeded the query time limit', data: null });
+        }
+        return res.status(500).json({ message: 'Server Error while fetching tasks', data: null });
+    }
+});
+
+// Full-text search over name and description, best matches first. `q` takes
+// MongoDB $text syntax ("quoted phrases", -excluded words) and combines with
+// the usual where/select/skip/limit; ranking has no keyset, so pages are
+// reached with skip rather than cursor.
+router.get('/search', async (req, res) => {
+    try {
+        const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+        if (!q) return res.status(400).json({ message: 'Bad Request: q is required', data: null });
+        if (q.length > MAX_SEARCH_LENGTH) {
+            return res.status(400).json({ message: `Bad Request: q is longer than ${MAX_SEARCH_LENGTH} characters`, data: null });
+        }
+
+        const { where, sort, select, skip, limit, cursor } = parseListQuery(Task, req.query);
+        if (cursor) throw new ApiError(400, 'Bad Request: search results are paged with skip, not cursor');
+
+        const filter = Object.assign({}, withoutArchived(where), { $text: { $search: q } });
+        const projection = Object.assign({}, select, { score: { $meta: 'textScore' } });
+        const rankedSort = Object.assign({ score: { $meta: 'textScore' } }, sort, sort._id === undefined ? { _id: 1 } : {});
+
+        const [docs, total] = await Promise.all([
+            Task.find(filter).select(projection).sort(rankedSort).skip(skip).limit(limit)
+                .maxTimeMS(QUERY_MAX_TIME_MS).lean(),
+            Task.countDocuments(filter).maxTimeMS(QUERY_MAX_TIME_MS)
+        ]);
+
+        const data = docs.map(doc => Object.assign(doc, { highlights: highlight(doc, q) }));
+        const pagination = setPaginationHeaders(req, res, { total, next: null, prev: null }, { skip, limit });
+        return res.status(200).json({ message: 'OK', data, pagination });
+
+    } catch (err) {
+        if (err instanceof ApiError) return sendApiError(res, err);
+        if (isQueryTimeout(err)) {
+            return res.status(400).json({ message: 'Bad Request: search matched too broadly and exceeded the query time limit', data: null });
+        }
+        return res.status(500).json({ message: 'Server Error while searching tasks', data: null });
+    }
+});
 
+// Deadlines of the tasks matching `where` as an iCalendar feed, soonest
+// first. `limit` defaults to the maximum rather than the list default.
+router.get('/calendar.ics', async (req, res) => {
+    try {
+        const { where, limit } = parseListQuery(Task, Object.assign({ limit: String(MAX_LIMIT) }, req.query));
+        const tasks = await Task.find(withoutArchived(where)).sort({ deadline: 1, _id: 1 }).limit(limit)
+            .maxTimeMS(QUERY_MAX_TIME_MS).lean();
+        return sendCalendar(res, tasks, 'Tasks');
     } catch (err) {
-        const msg = err.message === 'Invalid JSON in query parameter'
-            ? 'Bad Request: one of where/sort/select contains invalid JSON'
-            : 'Server Error while fetching tasks';
-        const code = msg.startsWith('Bad Request') ? 400 : 500;
-        return res.status(code).json({ message: msg, data: null });
+        if (err instanceof ApiError) return sendApiError(res, err);
+        if (isQueryTimeout(err)) {
+            return res.status(400).json({ message: 'Bad Request: where matched too broadly and exceeded the query time limit', data: null });
+        }
+        return res.status(500).json({ message: 'Server Error while rendering calendar', data: null });
     }
 });
 
 router.get('/:id', async (req, res) => {
     try {
-        const select = parseJSONParam(req.query.select, {});
-        const task = await Task.findById(req.params.id).select(select);
+        const select = parseSelect(Task, req.query);
+        const task = await Task.findById(req.params.id).select(withVersion(select));
         if (!task) return res.status(404).json({ message: 'Task not found', data: null });
-        return res.status(200).json({ message: 'OK', data: task });
-    } catch {
+
+        const etag = etagFor({ _id: task._id || req.params.id, __v: task.__v });
+        res.set('ETag', etag);
+        if (isNotModified(req, etag)) return res.status(304).end();
+
+        return res.status(200).json({ message: 'OK', data: stripVersion(task, select) });
+    } catch (err) {
+        if (err instanceof ApiError) return sendApiError(res, err);
         return res.status(400).json({ message: 'Bad Request: invalid task id', data: null });
     }
 });
 
-router.post('/', async (req, res) => {
-    try {
-        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
-        const deadline = req.body.deadline;
+router.get('/:id/history', historyHandler(Task));
 
-        if (!name || !deadline) {
-            return res.status(400).json({ message: 'name and deadline are required', data: null });
+// ?depth= (default 3, at most 10) levels of blockers and subtasks.
+router.get('/:id/graph', async (req, res) => {
+    try {
+        const depth = req.query.depth === undefined ? 3 : Number(req.query.depth);
+        if (!Number.isInteger(depth) || depth < 1 || depth > 10) {
+            return res.status(400).json({ message: 'Bad Request: depth must be a whole number from 1 to 10', data: null });
+        }
+        if (!isValidObjectId(req.params.id)) {
+            return res.status(400).json({ message: 'Bad Request: invalid task id', data: null });
         }
 
-        const description = typeof req.body.description === 'string' ? req.body.description : '';
-        const completed = (req.body.completed === true || req.body.completed === "true");
+        const graph = await dependencyGraph(req.params.id, depth);
+        if (!graph) return res.status(404).json({ message: 'Task not found', data: null });
+        return res.status(200).json({ message: 'OK', data: graph });
+    } catch {
+        return res.status(500).json({ message: 'Server Error while building task graph', data: null });
+    }
+});
 
-        let assignedUserId = typeof req.body.assignedUser === 'string' ? req.body.assignedUser.trim() : '';
-        let assignedUserName = typeof req.body.assignedUserName === 'string' ? req.body.assignedUserName : 'unassigned';
+// Creates a task from req.body and files it under its assignee's
+// pendingTasks and its parent's subtask counts.
+async function createTask(req, session) {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const deadline = req.body.deadline;
 
-        let assignedUser = null;
+    if (!name || !deadline) {
+        throw new ApiError(400, 'name and deadline are required');
+    }
 
-        if (assignedUserId) {
-            if (!isValidObjectId(assignedUserId)) {
-                return res.status(400).json({ message: 'Bad Request: assignedUser is not a valid id', data: null });
-            }
+    const description = typeof req.body.description === 'string' ? req.body.description : '';
+    const completed = (req.body.completed === true || req.body.completed === "true");
+    const recurrence = parseRecurrence(req.body.recurrence, deadline);
+    const project = typeof req.body.project === 'string' ? req.body.project.trim() : '';
+    const parent = typeof req.body.parent === 'string' ? req.body.parent.trim() : '';
 
-            assignedUser = await User.findById(assignedUserId);
-            if (!assignedUser) {
-                return res.status(400).json({ message: 'Bad Request: assignedUser does not exist', data: null });
-            }
+    let assignedUserId = typeof req.body.assignedUser === 'string' ? req.body.assignedUser.trim() : '';
+    let assignedUserName = 'unassigned';
 
-            if (req.body.assignedUserName && req.body.assignedUserName !== assignedUser.name) {
-                return res.status(400).json({ message: 'Bad Request: assignedUserName does not match assignedUser', data: null });
-            }
+    let assignedUser = null;
 
-            assignedUserName = assignedUser.name;
-        } else {
-            assignedUserName = 'unassigned';
-            assignedUserId = '';
+    if (assignedUserId) {
+        if (!isValidObjectId(assignedUserId)) {
+            throw new ApiError(400, 'Bad Request: assignedUser is not a valid id');
         }
 
-        const task = new Task({
-            name,
-            description,
-            deadline,
-            completed,
-            assignedUser: assignedUserId,
-            assignedUserName
-        });
-
-        await task.save();
+        assignedUser = await User.findById(assignedUserId).session(session);
+        if (!assignedUser) {
+            throw new ApiError(400, 'Bad Request: assignedUser does not exist');
+        }
 
-        if (assignedUser && !task.completed) {
-            await User.updateOne(
-                { _id: assignedUser._id },
-                { $addToSet: { pendingTasks: task._id.toString() } }
-            );
+        if (req.body.assignedUserName && req.body.assignedUserName !== assignedUser.name) {
+            throw new ApiError(400, 'Bad Request: assignedUserName does not match assignedUser');
         }
 
+        assignedUserName = assignedUser.name;
+    } else {
+        assignedUserId = '';
+    }
+
+    await checkAssignable(session, project, assignedUserId);
+
+    const task = new Task({
+        name,
+        description,
+        deadline,
+        completed,
+        assignedUser: assignedUserId,
+        assignedUserName,
+        recurrence,
+        project,
+        parent
+    });
+    if (recurrence) task.seriesId = task._id.toString();
+
+    await checkParent(session, task, parent);
+    if (req.body.blockedBy !== undefined) {
+        task.blockedBy = await checkBlockers(session, task, req.body.blockedBy);
+    }
+    if (task.completed) await checkUnblocked(session, task.blockedBy);
+
+    await task.save({ session });
+    await recordChange(session, req, Task, null, snapshot(task));
+    await refreshSubtasks(session, req, parent);
+
+    if (assignedUser && !task.completed) {
+        await updateAudited(
+            session, req, User,
+            { _id: assignedUser._id },
+            { $addToSet: { pendingTasks: task._id.toString() } }
+        );
+    }
+
+    return task;
+}
+
+router.post('/', async (req, res) => {
+    try {
+        const task = await withTransaction(session => createTask(req, session));
+
+        res.set('ETag', etagFor(task));
         return res.status(201).json({ message: 'Task created', data: task });
 
-    } catch {
+    } catch (err) {
+        if (err instanceof ApiError) return sendApiError(res, err);
         return res.status(500).json({ message: 'Server Error while creating task', data: null });
     }
 });
 
-router.put('/:id', async (req, res) => {
-    try {
-        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
-        const deadline = req.body.deadline;
+// Writes name/deadline/description/completed/assignment/project/parent/
+// blockedBy onto a loaded task and keeps the old and new assignee's
+// pendingTasks and the parents' subtask counts in sync. `assignedUser`,
+// `project`, `parent` or `blockedBy` left undefined keeps the current value;
+// `assignedUserName`, when given, must match the assignee.
+async function saveTask(req, session, task, fields) {
+    if (!fields.name || !fields.deadline) {
+        throw new ApiError(400, 'name and deadline are required');
+    }
+    if (task.archived) {
+        throw new ApiError(400, 'Cannot modify an archived task');
+    }
+
+    const before = snapshot(task);
+    const prevAssignedUserId = task.assignedUser ? String(task.assignedUser) : '';
+    const prevParent = task.parent || '';
+    const wasCompleted = task.completed;
 
-        if (!name || !deadline) {
-            return res.status(400).json({ message: 'name and deadline are required', data: null });
+    task.name = fields.name;
+    task.deadline = fields.deadline;
+    task.description = fields.description;
+    task.completed = fields.completed;
+
+    if (fields.recurrence !== undefined) {
+        task.recurrence = parseRecurrence(fields.recurrence, fields.deadline);
+        if (task.recurrence && !task.seriesId) task.seriesId = task._id.toString();
+    }
+
+    let newAssignedUserId = fields.assignedUser !== undefined
+        ? fields.assignedUser
+        : (task.assignedUser || '').toString();
+
+    let newAssignedUser = null;
+
+    if (newAssignedUserId) {
+        if (!isValidObjectId(newAssignedUserId)) {
+            throw new ApiError(400, 'Bad Request: assignedUser is not a valid id');
         }
 
-        const task = await Task.findById(req.params.id);
-        if (!task) return res.status(404).json({ message: 'Task not found', data: null });
+        newAssignedUser = await User.findById(newAssignedUserId).session(session);
+        if (!newAssignedUser) {
+            throw new ApiError(400, 'Bad Request: assignedUser does not exist');
+        }
 
-        const prevAssignedUserId = task.assignedUser ? String(task.assignedUser) : '';
+        if (fields.assignedUserName && fields.assignedUserName !== newAssignedUser.name) {
+            throw new ApiError(400, 'Bad Request: assignedUserName does not match assignedUser');
+        }
 
-        task.name = name;
-        task.deadline = deadline;
-        task.description = typeof req.body.description === 'string' ? req.body.description : '';
-        task.completed = (req.body.completed === true || req.body.completed === "true");
+        if (task.completed && newAssignedUserId !== prevAssignedUserId) {
+            throw new ApiError(400, 'Cannot reassign a completed task');
+        }
 
-        let newAssignedUserId = typeof req.body.assignedUser === 'string'
-            ? req.body.assignedUser.trim()
-            : (task.assignedUser || '').toString();
+        task.assignedUserName = newAssignedUser.name;
+    } else {
+        task.assignedUserName = 'unassigned';
+        newAssignedUserId = '';
+    }
 
-        let newAssignedUser = null;
+    const project = fields.project !== undefined ? fields.project : task.project;
+    await checkAssignable(session, project, newAssignedUserId);
 
-        if (newAssignedUserId) {
-            if (!isValidObjectId(newAssignedUserId)) {
-                return res.status(400).json({ message: 'Bad Request: assignedUser is not a valid id', data: null });
-            }
+    const parent = fields.parent !== undefined ? fields.parent : prevParent;
+    if (parent !== prevParent) await checkParent(session, task, parent);
+    if (fields.blockedBy !== undefined) task.blockedBy = await checkBlockers(session, task, fields.blockedBy);
+    if (task.completed && !wasCompleted) await checkUnblocked(session, task.blockedBy);
 
-            newAssignedUser = await User.findById(newAssignedUserId);
-            if (!newAssignedUser) {
-                return res.status(400).json({ message: 'Bad Request: assignedUser does not exist', data: null });
-            }
+    task.assignedUser = newAssignedUserId;
+    task.project = project;
+    task.parent = parent;
 
-            if (req.body.assignedUserName && req.body.assignedUserName !== newAssignedUser.name) {
-                return res.status(400).json({ message: 'Bad Request: assignedUserName does not match assignedUser', data: null });
-            }
+    await task.save();
+    await recordChange(session, req, Task, before, snapshot(task));
 
-            if (task.completed && newAssignedUserId !== prevAssignedUserId) {
-                return res.status(400).json({ message: 'Cannot reassign a completed task', data: null });
-            }
+    if (parent !== prevParent) await refreshSubtasks(session, req, prevParent);
+    if (parent !== prevParent || task.completed !== wasCompleted) await refreshSubtasks(session, req, parent);
 
-            task.assignedUserName = newAssignedUser.name;
-        } else {
-            task.assignedUserName = 'unassigned';
-            newAssignedUserId = '';
-        }
+    if (prevAssignedUserId && prevAssignedUserId !== newAssignedUserId) {
+        await updateAudited(
+            session, req, User,
+            { _id: prevAssignedUserId },
+            { $pull: { pendingTasks: task._id.toString() } }
+        );
+    }
 
-        task.assignedUser = newAssignedUserId;
+    if (newAssignedUser && !task.completed) {
+        await updateAudited(
+            session, req, User,
+            { _id: newAssignedUser._id },
+            { $addToSet: { pendingTasks: task._id.toString() } }
+        );
+    }
 
-        await task.save();
+    if (task.completed && newAssignedUserId) {
+        await updateAudited(
+            session, req, User,
+            { _id: newAssignedUserId },
+            { $pull: { pendingTasks: task._id.toString() } }
+        );
+    }
 
-        if (prevAssignedUserId && prevAssignedUserId !== newAssignedUserId) {
-            await User.updateOne(
-                { _id: prevAssignedUserId },
-                { $pull: { pendingTasks: task._id.toString() } }
-            );
-        }
+    if (task.completed && !wasCompleted && task.recurrence) {
+        await createNextOccurrence(req, session, task);
+    }
 
-        if (newAssignedUser && !task.completed) {
-            await User.updateOne(
-                { _id: newAssignedUser._id },
-                { $addToSet: { pendingTasks: task._id.toString() } }
-            );
-        }
+    return task;
+}
 
-        if (task.completed && newAssignedUserId) {
-            await User.updateOne(
-                { _id: newAssignedUserId },
-                { $pull: { pendingTasks: task._id.toString() } }
-            );
+// Completing an occurrence of a recurring task creates the next one, for the
+// same assignee, unless the rule has ended or it already exists.
+async function createNextOccurrence(req, session, task) {
+    const rule = task.recurrence.toObject();
+    const deadline = nextOccurrence(rule, task.deadline, task.occurrence);
+    if (!deadline) return null;
+
+    const seriesId = task.seriesId || task._id.toString();
+    const existing = await Task.findOne({ seriesId, occurrence: task.occurrence + 1 }).session(session);
+    if (existing) return null;
+
+    const next = new Task({
+        name: task.name,
+        description: task.description,
+        deadline,
+        completed: false,
+        assignedUser: task.assignedUser,
+        assignedUserName: task.assignedUserName,
+        recurrence: rule,
+        seriesId,
+        occurrence: task.occurrence + 1,
+        project: task.project,
+        parent: task.parent
+    });
+
+    await next.save({ session });
+    await recordChange(session, req, Task, null, snapshot(next));
+    await refreshSubtasks(session, req, next.parent);
+
+    if (next.assignedUser) {
+        await updateAudited(
+            session, req, User,
+            { _id: next.assignedUser },
+            { $addToSet: { pendingTasks: next._id.toString() } }
+        );
+    }
+
+    return next;
+}
+
+// Reads the writable task fields out of a full representation: a PUT body or
+// a patched copy of the stored task.
+function taskFields(source) {
+    return {
+        name: typeof source.name === 'string' ? source.name.trim() : '',
+        deadline: source.deadline,
+        description: typeof source.description === 'string' ? source.description : '',
+        completed: (source.completed === true || source.completed === "true"),
+        assignedUser: typeof source.assignedUser === 'string' ? source.assignedUser.trim() : undefined,
+        assignedUserName: source.assignedUserName,
+        recurrence: source.recurrence,
+        project: typeof source.project === 'string' ? source.project.trim() : undefined,
+        parent: typeof source.parent === 'string' ? source.parent.trim() : undefined,
+        blockedBy: source.blockedBy
+    };
+}
+
+// A task cannot be completed while any of its blockers is still open.
+async function checkUnblocked(session, blockedBy) {
+    const open = await openBlockers(session, blockedBy);
+    if (open.length) {
+        throw new ApiError(409, 'Conflict: task is blocked by open tasks', { blockedBy: open });
+    }
+}
+
+function sendUpdateError(res, err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
+    const msg = err.name === 'CastError'
+        ? 'Bad Request: invalid task id'
+        : 'Server Error while updating task';
+    const code = err.name === 'CastError' ? 400 : 500;
+    return res.status(code).json({ message: msg, data: null });
+}
+
+// Spreads open, unassigned tasks over users (see utils/autoAssign.js). With
+// `preview: true` only the plan comes back; otherwise every assignment goes
+// through saveTask, exactly like a PUT that sets assignedUser, in a single
+// transaction.
+router.post('/auto-assign', requireAdmin, async (req, res) => {
+    try {
+        const options = parseOptions(req.body);
+        const preview = req.body.preview === true || req.body.preview === 'true' || req.query.preview === 'true';
+
+        if (preview) {
+            const plan = await planAssignments(null, options);
+            return res.status(200).json({
+                message: 'Preview: no tasks were assigned',
+                data: Object.assign({ strategy: options.strategy, preview: true }, plan)
+            });
         }
 
+        const plan = await withTransaction(async (session) => {
+            const plan = await planAssignments(session, options);
+            for (const a of plan.assignments) {
+                const task = await Task.findById(a.task).session(session);
+                await saveTask(req, session, task, {
+                    name: task.name,
+                    deadline: task.deadline,
+                    description: task.description,
+                    completed: task.completed,
+                    assignedUser: a.user
+                });
+            }
+            return plan;
+        });
+
+        return res.status(200).json({
+            message: `Assigned ${plan.assignments.length} tasks`,
+            data: Object.assign({ strategy: options.strategy, preview: false }, plan)
+        });
+    } catch (err) {
+        if (err instanceof ApiError) return sendApiError(res, err);
+        return res.status(500).json({ message: 'Server Error while auto-assigning tasks', data: null });
+    }
+});
+
+// Creates, updates, patches and deletes many tasks in one request (see
+// utils/batch.js), each exactly as the single-task routes would.
+router.post('/batch', async (req, res) => {
+    try {
+        const batch = parseBatch(req.body);
+        const result = await runBatch(req, batch, {
+            create: createTask,
+            update: replaceTask,
+            patch: patchTask,
+            delete: deleteTask
+        }, 'task');
+        return res.status(result.status).json({ message: result.message, data: result.data });
+    } catch (err) {
+        if (err instanceof ApiError) return sendApiError(res, err);
+        return res.status(500).json({ message: 'Server Error while processing batch', data: null });
+    }
+});
+
+// PUT: replaces the task's fields with req.body (see saveTask).
+async function replaceTask(req, session) {
+    const fields = taskFields(req.body);
+    if (!fields.name || !fields.deadline) {
+        throw new ApiError(400, 'name and deadline are required');
+    }
+
+    const task = await Task.findById(req.params.id).session(session);
+    if (!task) throw new ApiError(404, 'Task not found');
+    checkIfMatch(req, task);
+    checkCanModify(req, task);
+
+    return saveTask(req, session, task, fields);
+}
+
+router.put('/:id', async (req, res) => {
+    try {
+        const task = await withTransaction(session => replaceTask(req, session));
+
+        res.set('ETag', etagFor(task));
         return res.status(200).json({ message: 'Task updated', data: task });
 
     } catch (err) {
-        const msg = err.name === 'CastError'
-            ? 'Bad Request: invalid task id'
-            : 'Server Error while updating task';
-        const code = err.name === 'CastError' ? 400 : 500;
-        return res.status(code).json({ message: msg, data: null });
+        return sendUpdateError(res, err);
     }
 });
 
-router.delete('/:id', async (req, res) => {
+// PATCH: applies a merge patch or JSON Patch to the task (see utils/patch.js).
+async function patchTask(req, session) {
+    const task = await Task.findById(req.params.id).session(session);
+    if (!task) throw new ApiError(404, 'Task not found');
+    checkIfMatch(req, task);
+    checkCanModify(req, task);
+
+    const current = JSON.parse(JSON.stringify(task));
+    const patched = applyPatch(req, current, { immutable: ['_id', 'dateCreated', '__v', 'archived', 'subtasks', 'completedAt'] });
+
+    const fields = taskFields(patched);
+    if (fields.assignedUser === undefined) fields.assignedUser = '';
+    if (fields.recurrence === undefined) fields.recurrence = null;
+    if (fields.project === undefined) fields.project = '';
+    if (fields.parent === undefined) fields.parent = '';
+    if (fields.blockedBy === undefined) fields.blockedBy = [];
+    // The stored name is only checked against the assignee when the
+    // patch itself touched it.
+    if (patched.assignedUserName === current.assignedUserName) fields.assignedUserName = undefined;
+
+    return saveTask(req, session, task, fields);
+}
+
+router.patch('/:id', async (req, res) => {
+    try {
+        const task = await withTransaction(session => patchTask(req, session));
+
+        res.set('ETag', etagFor(task));
+        return res.status(200).json({ message: 'Task updated', data: task });
+
+    } catch (err) {
+        return sendUpdateError(res, err);
+    }
+});
+
+router.get('/:id/occurrences', async (req, res) => {
     try {
-        const task = await Task.findByIdAndDelete(req.params.id);
+        const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+            return res.status(400).json({ message: 'Bad Request: limit must be a whole number from 1 to 100', data: null });
+        }
+
+        const task = await Task.findById(req.params.id);
         if (!task) return res.status(404).json({ message: 'Task not found', data: null });
+        if (!task.recurrence) return res.status(400).json({ message: 'Task is not recurring', data: null });
 
-        if (task.assignedUser) {
-            await User.updateOne(
-                { _id: task.assignedUser },
-                { $pull: { pendingTasks: task._id.toString() } }
+        const upcoming = upcomingOccurrences(task.recurrence.toObject(), task.deadline, task.occurrence, limit);
+        return res.status(200).json({ message: 'OK', data: upcoming });
+    } catch {
+        return res.status(400).json({ message: 'Bad Request: invalid task id', data: null });
+    }
+});
+
+// Stops a series: no open occurrence of it will spawn a next one any more.
+router.delete('/:id/recurrence', async (req, res) => {
+    try {
+        const task = await withTransaction(async (session) => {
+            const task = await Task.findById(req.params.id).session(session);
+            if (!task) throw new ApiError(404, 'Task not found');
+            checkIfMatch(req, task);
+            checkCanModify(req, task);
+            if (!task.recurrence) throw new ApiError(400, 'Task is not recurring');
+
+            await updateAudited(
+                session, req, Task,
+                {
+                    $or: [{ _id: task._id }, { seriesId: task.seriesId, completed: false }],
+                    recurrence: { $ne: null }
+                },
+                { $set: { recurrence: null } },
+                { many: true }
             );
-        }
+
+            return Task.findById(task._id).session(session);
+        });
+
+        res.set('ETag', etagFor(task));
+        return res.status(200).json({ message: 'Recurrence stopped', data: task });
+    } catch (err) {
+        return sendUpdateError(res, err);
+    }
+});
+
+// Moves the task to the trash (see utils/trash.js). Admins can pass
+// ?permanent=true to delete it for good, trashed or not.
+async function deleteTask(req, session) {
+    const permanent = req.query.permanent === 'true';
+    if (permanent && !isAdmin(req.auth)) {
+        throw new ApiError(403, 'Forbidden: only admins can delete tasks permanently');
+    }
+
+    const task = permanent
+        ? await findAny(session, Task, req.params.id)
+        : await Task.findById(req.params.id).session(session);
+    if (!task) throw new ApiError(404, 'Task not found');
+    checkIfMatch(req, task);
+    checkCanModify(req, task);
+
+    if (permanent) await purgeTask(session, req, task);
+    else await trashTask(session, req, task);
+}
+
+router.delete('/:id', async (req, res) => {
+    try {
+        await withTransaction(session => deleteTask(req, session));
 
         return res.status(204).json({ message: 'Task deleted', data: null });
 
-    } catch {
+    } catch (err) {
+        if (err instanceof ApiError) return sendApiError(res, err);
+        return res.status(400).json({ message: 'Bad Request: invalid task id', data: null });
+    }
+});
+
+// Takes the task out of the trash, back on its assignee's pendingTasks if
+// they are still around.
+router.post('/:id/restore', async (req, res) => {
+    try {
+        const task = await withTransaction(async (session) => {
+            const task = await findTrashed(session, Task, req.params.id);
+            if (!task) throw new ApiError(404, 'Task not found in the trash');
+            checkIfMatch(req, task);
+            checkCanModify(req, task);
+            return restoreTask(session, req, task);
+        });
+
+        res.set('ETag', etagFor(task));
+        return res.status(200).json({ message: 'Task restored', data: task });
+    } catch (err) {
+        if (err instanceof ApiError) return sendApiError(res, err);
         return res.status(400).json({ message: 'Bad Request: invalid task id', data: null });
     }
 });
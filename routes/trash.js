@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { ApiError, sendApiError } = require('../utils/errors');
+const { MAX_LIMIT, QUERY_MAX_TIME_MS } = require('../utils/query');
+const { isAdmin } = require('../middleware/auth');
+const { purgeAt, RETENTION_DAYS } = require('../utils/trash');
+
+const DEFAULT_LIMIT = 100;
+
+function wholeNumber(name, value, fallback, min, max) {
+    if (value === undefined) return fallback;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min || n > max) {
+        throw new ApiError(400, `Bad Request: ${name} must be a whole number from ${min} to ${max}`);
+    }
+    return n;
+}
+
+async function trashed(Model, filter, { skip, limit }) {
+    const docs = await Model.find(Object.assign({ deletedAt: { $ne: null } }, filter))
+        .sort({ deletedAt: -1, _id: 1 })
+        .skip(skip)
+        .limit(limit)
+        .maxTimeMS(QUERY_MAX_TIME_MS)
+        .lean();
+    return docs.map(doc => {
+        delete doc.passwordHash;
+        return Object.assign(doc, { purgeAt: purgeAt(doc) });
+    });
+}
+
+// Everything in the trash, most recently deleted first, with the time each
+// item will be purged. ?skip= and ?limit= apply to tasks and users alike.
+// Admins see all of it; everyone else only sees their own tasks.
+router.get('/', async (req, res) => {
+    try {
+        const page = {
+            skip: wholeNumber('skip', req.query.skip, 0, 0, Number.MAX_SAFE_INTEGER),
+            limit: wholeNumber('limit', req.query.limit, DEFAULT_LIMIT, 1, MAX_LIMIT)
+        };
+
+        const admin = isAdmin(req.auth);
+        const tasks = await trashed(Task, admin ? {} : { assignedUser: req.auth.userId || '' }, page);
+        const users = admin ? await trashed(User, {}, page) : [];
+
+        return res.status(200).json({ message: 'OK', data: { retentionDays: RETENTION_DAYS, tasks, users } });
+    } catch (err) {
+        if (err instanceof ApiError) return sendApiError(res, err);
+        return res.status(500).json({ message: 'Server Error while listing the trash', data: null });
+    }
+});
+
+module.exports = router;
@@ -1,228 +1,483 @@
 const express = require('express');
 const router = express.Router();
-const mongoose = require('mongoose');
 const User = require('../models/User');
 const Task = require('../models/Task');
+const Notification = require('../models/Notification');
+const { ApiError, sendApiError } = require('../utils/errors');
+const { withTransaction } = require('../utils/transaction');
+const { paginate, setPaginationHeaders } = require('../utils/pagination');
+const { parseListQuery, parseSelect, isValidObjectId, isQueryTimeout, MAX_LIMIT, QUERY_MAX_TIME_MS } = require('../utils/query');
+const { applyPatch } = require('../utils/patch');
+const { etagFor, isNotModified, checkIfMatch, withVersion, stripVersion } = require('../utils/etag');
+const { recordChange, updateAudited, snapshot, historyHandler } = require('../utils/audit');
+const { isAdmin, requireAdmin } = require('../middleware/auth');
+const { hashPassword, MIN_PASSWORD_LENGTH } = require('../utils/auth');
+const { sendCalendar } = require('../utils/ical');
+const { checkAssignable, withoutArchived } = require('../utils/projects');
+const { findTrashed, findAny, trashUser, restoreUser, purgeUser } = require('../utils/trash');
+const { parseBatch, runBatch } = require('../utils/batch');
+
+// Reads the optional password/role from `source` (usually the body). Only
+// admins may hand out roles.
+async function readCredentials(req, source) {
+    const fields = {};
+
+    if (source.password !== undefined) {
+        if (typeof source.password !== 'string' || source.password.length < MIN_PASSWORD_LENGTH) {
+            throw new ApiError(400, `Bad Request: password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+        fields.passwordHash = await hashPassword(source.password);
+    }
 
-function parseJSONParam(value, fallback = {}) {
-    if (value === undefined) return fallback;
-    try { return JSON.parse(value); }
-    catch { throw new Error('Invalid JSON in query parameter'); }
-}
+    if (source.role !== undefined) {
+        if (!['user', 'admin'].includes(source.role)) {
+            throw new ApiError(400, 'Bad Request: role must be user or admin');
+        }
+        if (!isAdmin(req.auth)) {
+            throw new ApiError(403, 'Forbidden: only an admin can set roles');
+        }
+        fields.role = source.role;
+    }
 
-function intOrUndefined(v) {
-    if (v === undefined) return undefined;
-    const n = parseInt(v, 10);
-    return Number.isNaN(n) ? undefined : n;
+    return fields;
 }
 
-function isValidObjectId(id) {
-    return typeof id === 'string' && mongoose.Types.ObjectId.isValid(id);
+// A non-admin may only take tasks that are unassigned or already theirs.
+function checkCanTake(req, task, userId) {
+    const ownerId = task.assignedUser ? String(task.assignedUser) : '';
+    if (ownerId && ownerId !== userId && !isAdmin(req.auth)) {
+        throw new ApiError(403, 'Forbidden: task is assigned to another user');
+    }
 }
 
 router.get('/', async (req, res) => {
     try {
-        const where = parseJSONParam(req.query.where, {});
-        const sort = parseJSONParam(req.query.sort, {});
-        const select = parseJSONParam(req.query.select, {});
-        const skip = intOrUndefined(req.query.skip) || 0;
-        const limit = intOrUndefined(req.query.limit);
-        const count = req.query.count === 'true';
-
-        let q = User.find(where);
-        if (Object.keys(sort).length) q = q.sort(sort);
-        if (Object.keys(select).length) q = q.select(select);
-        if (skip) q = q.skip(skip);
-        if (limit !== undefined) q = q.limit(limit);
+        const { where, sort, select, skip, limit, count, cursor } = parseListQuery(User, req.query);
 
         if (count) {
-            const pageDocs = await q.select({ _id: 1 }).lean().exec();
-            return res.status(200).json({ message: 'OK', data: pageDocs.length });
+            const total = await User.countDocuments(where).maxTimeMS(QUERY_MAX_TIME_MS);
+            return res.status(200).json({ message: 'OK', data: total });
         }
 
-        const users = await q.exec();
-        return res.status(200).json({ message: 'OK', data: users });
+        const page = await paginate(User, { where, sort, select, skip, limit, cursor, maxTimeMS: QUERY_MAX_TIME_MS });
+        const pagination = setPaginationHeaders(req, res, page, { skip, limit });
+        return res.status(200).json({ message: 'OK', data: page.docs, pagination });
     } catch (err) {
-        const msg = err.message === 'Invalid JSON in query parameter'
-            ? 'Bad Request: one of where/sort/select contains invalid JSON'
-            : 'Server Error while fetching users';
-        const code = msg.startsWith('Bad Request') ? 400 : 500;
-        return res.status(code).json({ message: msg, data: null });
+        if (err instanceof ApiError) return sendApiError(res, err);
+        if (isQueryTimeout(err)) {
+            return res.status(400).json({ message: 'Bad Request: where matched too broadly and exceeded the query time limit', data: null });
+        }
+        return res.status(500).json({ message: 'Server Error while fetching users', data: null });
     }
 });
 
 router.get('/:id', async (req, res) => {
     try {
-        const select = parseJSONParam(req.query.select, {});
-        const user = await User.findById(req.params.id).select(select);
+        const select = parseSelect(User, req.query);
+        const user = await User.findById(req.params.id).select(withVersion(select));
         if (!user) return res.status(404).json({ message: 'User not found', data: null });
-        return res.status(200).json({ message: 'OK', data: user });
-    } catch {
+
+        const etag = etagFor({ _id: user._id || req.params.id, __v: user.__v });
+        res.set('ETag', etag);
+        if (isNotModified(req, etag)) return res.status(304).end();
+
+        return res.status(200).json({ message: 'OK', data: stripVersion(user, select) });
+    } catch (err) {
+        if (err instanceof ApiError) return sendApiError(res, err);
         return res.status(400).json({ message: 'Bad Request: invalid user id', data: null });
     }
 });
 
-router.post('/', async (req, res) => {
-    try {
-        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
-        const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+router.get('/:id/history', historyHandler(User));
 
-        if (!name || !email) {
-            return res.status(400).json({ message: 'name and email are required', data: null });
+// Deadline reminders and escalations recorded for the user by
+// utils/reminders.js, newest first. Takes the usual where/sort/select/skip/
+// limit/cursor parameters.
+router.get('/:id/notifications', async (req, res) => {
+    try {
+        if (!isAdmin(req.auth) && req.auth.userId !== req.params.id) {
+            throw new ApiError(403, 'Forbidden: you can only read your own notifications');
+        }
+        if (!isValidObjectId(req.params.id)) throw new ApiError(400, 'Bad Request: invalid user id');
+        const user = await User.findById(req.params.id).select({ _id: 1 });
+        if (!user) throw new ApiError(404, 'User not found');
+
+        const query = parseListQuery(Notification, req.query);
+        const { select, skip, limit, cursor } = query;
+        const where = Object.keys(query.where).length ? { $and: [query.where, { user: req.params.id }] } : { user: req.params.id };
+        const sort = Object.keys(query.sort).length ? query.sort : { dateCreated: -1 };
+
+        if (query.count) {
+            const total = await Notification.countDocuments(where).maxTimeMS(QUERY_MAX_TIME_MS);
+            return res.status(200).json({ message: 'OK', data: total });
         }
 
-        const existing = await User.findOne({ email });
-        if (existing) {
-            return res.status(400).json({ message: 'A user with this email already exists', data: null });
+        const page = await paginate(Notification, { where, sort, select, skip, limit, cursor, maxTimeMS: QUERY_MAX_TIME_MS });
+        const pagination = setPaginationHeaders(req, res, page, { skip, limit });
+        return res.status(200).json({ message: 'OK', data: page.docs, pagination });
+    } catch (err) {
+        if (err instanceof ApiError) return sendApiError(res, err);
+        if (isQueryTimeout(err)) {
+            return res.status(400).json({ message: 'Bad Request: where matched too broadly and exceeded the query time limit', data: null });
         }
+        return res.status(500).json({ message: 'Server Error while fetching notifications', data: null });
+    }
+});
 
-        const user = new User({
-            name,
-            email,
-            pendingTasks: []
-        });
-        await user.save();
+// The deadlines of every task assigned to the user, completed ones included.
+router.get('/:id/calendar.ics', async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) return res.status(404).json({ message: 'User not found', data: null });
 
-        if (Array.isArray(req.body.pendingTasks) && req.body.pendingTasks.length) {
-            const incoming = [...new Set(req.body.pendingTasks.map(String))];
+        const tasks = await Task.find(withoutArchived({ assignedUser: user._id.toString() })).sort({ deadline: 1, _id: 1 })
+            .limit(MAX_LIMIT).maxTimeMS(QUERY_MAX_TIME_MS).lean();
+        return sendCalendar(res, tasks, `Tasks of ${user.name}`);
+    } catch (err) {
+        const code = err.name === 'CastError' ? 400 : 500;
+        const msg = code === 400 ? 'Bad Request: invalid user id' : 'Server Error while rendering calendar';
+        return res.status(code).json({ message: msg, data: null });
+    }
+});
 
-            for (const tid of incoming) {
-                if (!isValidObjectId(tid)) {
-                    return res.status(400).json({ message: 'Bad Request: pendingTasks contains invalid task id', data: null });
-                }
-            }
+// Creates a user from req.body. Tasks listed in pendingTasks are taken over
+// from their previous assignees. Admins only: the first admin is created
+// with the ADMIN_API_KEY.
+async function createUser(req, session) {
+    if (!isAdmin(req.auth)) {
+        throw new ApiError(403, 'Forbidden: admin access required');
+    }
 
-            const tasks = await Task.find({ _id: { $in: incoming } });
-            if (tasks.length !== incoming.length) {
-                return res.status(404).json({ message: 'One or more tasks in pendingTasks do not exist', data: null });
-            }
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
 
-            if (tasks.some(t => t.completed)) {
-                return res.status(400).json({ message: 'Cannot assign completed tasks to user', data: null });
-            }
+    if (!name || !email) {
+        throw new ApiError(400, 'name and email are required');
+    }
+
+    const credentials = await readCredentials(req, req.body);
 
-            for (const t of tasks) {
-                const oldOwnerId = t.assignedUser ? String(t.assignedUser) : '';
-                if (oldOwnerId && oldOwnerId !== user._id.toString()) {
-                    await User.updateOne(
-                        { _id: oldOwnerId },
-                        { $pull: { pendingTasks: t._id.toString() } }
-                    );
-                }
-                t.assignedUser = user._id.toString();
-                t.assignedUserName = user.name;
-                await t.save();
+    await checkEmailFree(session, email, null);
+
+    const user = new User(Object.assign({
+        name,
+        email,
+        pendingTasks: []
+    }, credentials));
+    await user.save({ session });
+
+    if (Array.isArray(req.body.pendingTasks) && req.body.pendingTasks.length) {
+        const incoming = [...new Set(req.body.pendingTasks.map(String))];
+
+        for (const tid of incoming) {
+            if (!isValidObjectId(tid)) {
+                throw new ApiError(400, 'Bad Request: pendingTasks contains invalid task id');
             }
+        }
+
+        const tasks = await Task.find({ _id: { $in: incoming } }).session(session);
+        if (tasks.length !== incoming.length) {
+            throw new ApiError(404, 'One or more tasks in pendingTasks do not exist');
+        }
+
+        if (tasks.some(t => t.completed)) {
+            throw new ApiError(400, 'Cannot assign completed tasks to user');
+        }
 
-            user.pendingTasks = incoming;
-            await user.save();
+        if (tasks.some(t => t.archived)) {
+            throw new ApiError(400, 'Cannot assign archived tasks to user');
         }
 
+        tasks.forEach(t => checkCanTake(req, t, user._id.toString()));
+
+        for (const t of tasks) {
+            await checkAssignable(session, t.project, user._id.toString());
+        }
+
+        for (const t of tasks) {
+            const oldOwnerId = t.assignedUser ? String(t.assignedUser) : '';
+            if (oldOwnerId && oldOwnerId !== user._id.toString()) {
+                await updateAudited(
+                    session, req, User,
+                    { _id: oldOwnerId },
+                    { $pull: { pendingTasks: t._id.toString() } }
+                );
+            }
+            const taskBefore = snapshot(t);
+            t.assignedUser = user._id.toString();
+            t.assignedUserName = user.name;
+            await t.save();
+            await recordChange(session, req, Task, taskBefore, snapshot(t));
+        }
+
+        user.pendingTasks = incoming;
+        await user.save();
+    }
+
+    await recordChange(session, req, User, null, snapshot(user));
+    return user;
+}
+
+router.post('/', async (req, res) => {
+    try {
+        const user = await withTransaction(session => createUser(req, session));
+
+        res.set('ETag', etagFor(user));
         return res.status(201).json({ message: 'User created', data: user });
-    } catch {
+    } catch (err) {
+        if (err instanceof ApiError) return sendApiError(res, err);
         return res.status(500).json({ message: 'Server Error while creating user', data: null });
     }
 });
 
-router.put('/:id', async (req, res) => {
-    try {
-        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
-        const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+// Emails stay unique across the trash too, so a trashed user can always be
+// restored.
+async function checkEmailFree(session, email, userId) {
+    const others = userId ? { email, _id: { $ne: userId } } : { email };
+    if (await User.findOne(others).session(session)) {
+        throw new ApiError(400, 'A user with this email already exists');
+    }
+    if (await User.findOne(Object.assign({ deletedAt: { $ne: null } }, others)).session(session)) {
+        throw new ApiError(400, 'A user with this email is in the trash; restore it or delete it permanently');
+    }
+}
 
-        if (!name || !email) {
-            return res.status(400).json({ message: 'name and email are required', data: null });
-        }
+// Writes name/email/pendingTasks/credentials onto a loaded user and moves the
+// affected tasks' assignedUser/assignedUserName to match. `pendingTasks` left
+// undefined keeps the current list.
+async function saveUser(req, session, user, fields) {
+    const { name, email, credentials } = fields;
 
-        const user = await User.findById(req.params.id);
-        if (!user) return res.status(404).json({ message: 'User not found', data: null });
+    if (!name || !email) {
+        throw new ApiError(400, 'name and email are required');
+    }
 
-        const existing = await User.findOne({ email, _id: { $ne: req.params.id } });
-        if (existing) {
-            return res.status(400).json({ message: 'A user with this email already exists', data: null });
-        }
+    await checkEmailFree(session, email, user._id);
 
-        const incomingPending = Array.isArray(req.body.pendingTasks)
-            ? [...new Set(req.body.pendingTasks.map(String))]
-            : user.pendingTasks.map(String);
+    const incomingPending = Array.isArray(fields.pendingTasks)
+        ? [...new Set(fields.pendingTasks.map(String))]
+        : user.pendingTasks.map(String);
 
-        for (const id of incomingPending) {
-            if (!isValidObjectId(id)) {
-                return res.status(400).json({ message: 'Bad Request: pendingTasks contains invalid task id', data: null });
-            }
+    for (const id of incomingPending) {
+        if (!isValidObjectId(id)) {
+            throw new ApiError(400, 'Bad Request: pendingTasks contains invalid task id');
         }
+    }
 
-        const tasks = await Task.find({ _id: { $in: incomingPending } });
-        if (tasks.length !== incomingPending.length) {
-            return res.status(404).json({ message: 'One or more tasks in pendingTasks do not exist', data: null });
-        }
+    const tasks = await Task.find({ _id: { $in: incomingPending } }).session(session);
+    if (tasks.length !== incomingPending.length) {
+        throw new ApiError(404, 'One or more tasks in pendingTasks do not exist');
+    }
 
-        if (tasks.some(t => t.completed)) {
-            return res.status(400).json({ message: 'Cannot add completed tasks to pendingTasks', data: null });
-        }
-
-        const prevPending = new Set(user.pendingTasks.map(String));
-        const incomingSet = new Set(incomingPending);
-        const toAssign = [...incomingSet].filter(id => !prevPending.has(id));
-        const toUnassign = [...prevPending].filter(id => !incomingSet.has(id));
-
-        if (toUnassign.length) {
-            await Task.updateMany(
-                { _id: { $in: toUnassign }, assignedUser: user._id.toString() },
-                { $set: { assignedUser: '', assignedUserName: 'unassigned' } }
-            );
-        }
-
-        if (toAssign.length) {
-            const toAssignDocs = await Task.find({ _id: { $in: toAssign } });
-            for (const t of toAssignDocs) {
-                if (t.completed) {
-                    return res.status(400).json({ message: 'Cannot assign completed tasks', data: null });
-                }
-                const oldOwnerId = t.assignedUser ? String(t.assignedUser) : '';
-                if (oldOwnerId && oldOwnerId !== user._id.toString()) {
-                    await User.updateOne(
-                        { _id: oldOwnerId },
-                        { $pull: { pendingTasks: t._id.toString() } }
-                    );
-                }
-                t.assignedUser = user._id.toString();
-                t.assignedUserName = name;
-                await t.save();
+    if (tasks.some(t => t.completed)) {
+        throw new ApiError(400, 'Cannot add completed tasks to pendingTasks');
+    }
+
+    const before = snapshot(user);
+    const prevPending = new Set(user.pendingTasks.map(String));
+    const incomingSet = new Set(incomingPending);
+    const toAssign = [...incomingSet].filter(id => !prevPending.has(id));
+    const toUnassign = [...prevPending].filter(id => !incomingSet.has(id));
+
+    if (toUnassign.length) {
+        await updateAudited(
+            session, req, Task,
+            { _id: { $in: toUnassign }, assignedUser: user._id.toString() },
+            { $set: { assignedUser: '', assignedUserName: 'unassigned' } },
+            { many: true }
+        );
+    }
+
+    if (toAssign.length) {
+        const toAssignDocs = await Task.find({ _id: { $in: toAssign } }).session(session);
+        for (const t of toAssignDocs) {
+            if (t.completed) {
+                throw new ApiError(400, 'Cannot assign completed tasks');
+            }
+            if (t.archived) {
+                throw new ApiError(400, 'Cannot assign archived tasks');
             }
+            checkCanTake(req, t, user._id.toString());
+            await checkAssignable(session, t.project, user._id.toString());
+            const oldOwnerId = t.assignedUser ? String(t.assignedUser) : '';
+            if (oldOwnerId && oldOwnerId !== user._id.toString()) {
+                await updateAudited(
+                    session, req, User,
+                    { _id: oldOwnerId },
+                    { $pull: { pendingTasks: t._id.toString() } }
+                );
+            }
+            const taskBefore = snapshot(t);
+            t.assignedUser = user._id.toString();
+            t.assignedUserName = name;
+            await t.save();
+            await recordChange(session, req, Task, taskBefore, snapshot(t));
         }
+    }
 
-        user.name = name;
-        user.email = email;
-        user.pendingTasks = incomingPending;
-        await user.save();
+    user.name = name;
+    user.email = email;
+    user.pendingTasks = incomingPending;
+    Object.assign(user, credentials);
+    await user.save();
+    await recordChange(session, req, User, before, snapshot(user));
+
+    await updateAudited(
+        session, req, Task,
+        { assignedUser: user._id.toString(), assignedUserName: { $ne: name } },
+        { $set: { assignedUserName: name } },
+        { many: true }
+    );
+
+    return user;
+}
 
-        await Task.updateMany(
-            { assignedUser: user._id.toString() },
-            { $set: { assignedUserName: name } }
-        );
+function userFields(source) {
+    return {
+        name: typeof source.name === 'string' ? source.name.trim() : '',
+        email: typeof source.email === 'string' ? source.email.trim().toLowerCase() : '',
+        pendingTasks: Array.isArray(source.pendingTasks) ? source.pendingTasks : undefined
+    };
+}
+
+function checkCanUpdate(req) {
+    if (!isAdmin(req.auth) && req.auth.userId !== req.params.id) {
+        throw new ApiError(403, 'Forbidden: you can only update your own account');
+    }
+}
+
+function sendUpdateError(res, err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
+    const msg = err.name === 'CastError'
+        ? 'Bad Request: invalid user id'
+        : 'Server Error while updating user';
+    const code = err.name === 'CastError' ? 400 : 500;
+    return res.status(code).json({ message: msg, data: null });
+}
+
+// Creates, updates, patches and deletes many users in one request (see
+// utils/batch.js), each exactly as the single-user routes would.
+router.post('/batch', async (req, res) => {
+    try {
+        const batch = parseBatch(req.body);
+        const result = await runBatch(req, batch, {
+            create: createUser,
+            update: replaceUser,
+            patch: patchUser,
+            delete: deleteUser
+        }, 'user');
+        return res.status(result.status).json({ message: result.message, data: result.data });
+    } catch (err) {
+        if (err instanceof ApiError) return sendApiError(res, err);
+        return res.status(500).json({ message: 'Server Error while processing batch', data: null });
+    }
+});
+
+// PUT: replaces the user's fields with req.body (see saveUser).
+async function replaceUser(req, session) {
+    const fields = userFields(req.body);
+    if (!fields.name || !fields.email) {
+        throw new ApiError(400, 'name and email are required');
+    }
+
+    checkCanUpdate(req);
+    fields.credentials = await readCredentials(req, req.body);
+
+    const user = await User.findById(req.params.id).session(session);
+    if (!user) throw new ApiError(404, 'User not found');
+    checkIfMatch(req, user);
+
+    return saveUser(req, session, user, fields);
+}
+
+router.put('/:id', async (req, res) => {
+    try {
+        const user = await withTransaction(session => replaceUser(req, session));
 
+        res.set('ETag', etagFor(user));
         return res.status(200).json({ message: 'User updated', data: user });
     } catch (err) {
-        const msg = err.name === 'CastError'
-            ? 'Bad Request: invalid user id'
-            : 'Server Error while updating user';
-        const code = err.name === 'CastError' ? 400 : 500;
-        return res.status(code).json({ message: msg, data: null });
+        return sendUpdateError(res, err);
     }
 });
 
-router.delete('/:id', async (req, res) => {
+// PATCH: applies a merge patch or JSON Patch to the user (see utils/patch.js).
+async function patchUser(req, session) {
+    checkCanUpdate(req);
+
+    const user = await User.findById(req.params.id).session(session);
+    if (!user) throw new ApiError(404, 'User not found');
+    checkIfMatch(req, user);
+
+    const current = JSON.parse(JSON.stringify(user));
+    const patched = applyPatch(req, current, { immutable: ['_id', 'dateCreated', '__v'] });
+
+    const fields = userFields(patched);
+    fields.pendingTasks = Array.isArray(patched.pendingTasks) ? patched.pendingTasks : [];
+    fields.credentials = await readCredentials(req, {
+        password: patched.password,
+        role: patched.role !== current.role ? patched.role : undefined
+    });
+
+    return saveUser(req, session, user, fields);
+}
+
+router.patch('/:id', async (req, res) => {
     try {
-        const user = await User.findByIdAndDelete(req.params.id);
-        if (!user) return res.status(404).json({ message: 'User not found', data: null });
+        const user = await withTransaction(session => patchUser(req, session));
 
-        await Task.updateMany(
-            { assignedUser: user._id.toString() },
-            { $set: { assignedUser: '', assignedUserName: 'unassigned' } }
-        );
+        res.set('ETag', etagFor(user));
+        return res.status(200).json({ message: 'User updated', data: user });
+    } catch (err) {
+        return sendUpdateError(res, err);
+    }
+});
+
+// Moves the user to the trash (see utils/trash.js); ?permanent=true deletes
+// them for good, trashed or not. Admins only.
+async function deleteUser(req, session) {
+    if (!isAdmin(req.auth)) {
+        throw new ApiError(403, 'Forbidden: admin access required');
+    }
+
+    const permanent = req.query.permanent === 'true';
+    const user = permanent
+        ? await findAny(session, User, req.params.id)
+        : await User.findById(req.params.id).session(session);
+    if (!user) throw new ApiError(404, 'User not found');
+    checkIfMatch(req, user);
+
+    if (permanent) await purgeUser(session, req, user);
+    else await trashUser(session, req, user);
+}
+
+router.delete('/:id', async (req, res) => {
+    try {
+        await withTransaction(session => deleteUser(req, session));
 
         return res.status(204).json({ message: 'User deleted', data: null });
-    } catch {
+    } catch (err) {
+        if (err instanceof ApiError) return sendApiError(res, err);
+        return res.status(400).json({ message: 'Bad Request: invalid user id', data: null });
+    }
+});
+
+// Takes the user out of the trash and hands back the tasks and project
+// memberships they had. Tasks that have moved on since are listed in
+// data.notRestored.
+router.post('/:id/restore', requireAdmin, async (req, res) => {
+    try {
+        const { user, notRestored } = await withTransaction(async (session) => {
+            const user = await findTrashed(session, User, req.params.id);
+            if (!user) throw new ApiError(404, 'User not found in the trash');
+            checkIfMatch(req, user);
+            return restoreUser(session, req, user);
+        });
+
+        res.set('ETag', etagFor(user));
+        return res.status(200).json({ message: 'User restored', data: Object.assign(user.toJSON(), { notRestored }) });
+    } catch (err) {
+        if (err instanceof ApiError) return sendApiError(res, err);
         return res.status(400).json({ message: 'Bad Request: invalid user id', data: null });
     }
 });
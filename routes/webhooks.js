@@ -0,0 +1,151 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { EVENT_TYPES } = require('../utils/events');
+const { ping } = require('../utils/webhooks');
+const { isValidObjectId } = require('../utils/query');
+
+function parseUrl(value) {
+    if (typeof value !== 'string') return null;
+    try {
+        const url = new URL(value.trim());
+        return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+    } catch {
+        return null;
+    }
+}
+
+// Returns the event filter, or null when it names an unknown event.
+function parseEvents(value) {
+    if (value === undefined) return ['*'];
+    const events = Array.isArray(value) ? value : String(value).split(',');
+    const cleaned = [...new Set(events.map(e => String(e).trim()).filter(Boolean))];
+    if (!cleaned.length || !cleaned.every(e => e === '*' || EVENT_TYPES.includes(e))) return null;
+    return cleaned;
+}
+
+async function findWebhook(req, res) {
+    if (!isValidObjectId(req.params.id)) {
+        res.status(400).json({ message: 'Bad Request: invalid webhook id', data: null });
+        return null;
+    }
+    const hook = await Webhook.findById(req.params.id);
+    if (!hook) res.status(404).json({ message: 'Webhook not found', data: null });
+    return hook;
+}
+
+router.get('/', async (req, res) => {
+    try {
+        const hooks = await Webhook.find({}).sort({ dateCreated: -1 });
+        return res.status(200).json({ message: 'OK', data: hooks });
+    } catch {
+        return res.status(500).json({ message: 'Server Error while fetching webhooks', data: null });
+    }
+});
+
+router.post('/', async (req, res) => {
+    try {
+        const url = parseUrl(req.body.url);
+        const events = parseEvents(req.body.events);
+
+        if (!url) {
+            return res.status(400).json({ message: 'Bad Request: url must be an http(s) URL', data: null });
+        }
+        if (!events) {
+            return res.status(400).json({ message: `Bad Request: events must be * or any of ${EVENT_TYPES.join(', ')}`, data: null });
+        }
+
+        const secret = typeof req.body.secret === 'string' && req.body.secret
+            ? req.body.secret
+            : crypto.randomBytes(32).toString('hex');
+
+        const hook = new Webhook({ url, events, secret, createdBy: req.auth.userId || req.auth.keyId });
+        await hook.save();
+
+        return res.status(201).json({
+            message: 'Webhook created; store the secret now, it will not be shown again',
+            data: Object.assign(hook.toJSON(), { secret })
+        });
+    } catch {
+        return res.status(500).json({ message: 'Server Error while creating webhook', data: null });
+    }
+});
+
+router.get('/:id', async (req, res) => {
+    try {
+        const hook = await findWebhook(req, res);
+        if (!hook) return;
+        return res.status(200).json({ message: 'OK', data: hook });
+    } catch {
+        return res.status(500).json({ message: 'Server Error while fetching webhook', data: null });
+    }
+});
+
+router.patch('/:id', async (req, res) => {
+    try {
+        const hook = await findWebhook(req, res);
+        if (!hook) return;
+
+        if (req.body.url !== undefined) {
+            const url = parseUrl(req.body.url);
+            if (!url) return res.status(400).json({ message: 'Bad Request: url must be an http(s) URL', data: null });
+            hook.url = url;
+        }
+        if (req.body.events !== undefined) {
+            const events = parseEvents(req.body.events);
+            if (!events) {
+                return res.status(400).json({ message: `Bad Request: events must be * or any of ${EVENT_TYPES.join(', ')}`, data: null });
+            }
+            hook.events = events;
+        }
+        if (req.body.active !== undefined) {
+            hook.active = req.body.active === true || req.body.active === 'true';
+        }
+
+        await hook.save();
+        return res.status(200).json({ message: 'Webhook updated', data: hook });
+    } catch {
+        return res.status(500).json({ message: 'Server Error while updating webhook', data: null });
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        const hook = await findWebhook(req, res);
+        if (!hook) return;
+        await Webhook.deleteOne({ _id: hook._id });
+        return res.status(204).json({ message: 'Webhook deleted', data: null });
+    } catch {
+        return res.status(500).json({ message: 'Server Error while deleting webhook', data: null });
+    }
+});
+
+router.get('/:id/deliveries', async (req, res) => {
+    try {
+        const hook = await findWebhook(req, res);
+        if (!hook) return;
+
+        const filter = { webhook: hook._id.toString() };
+        if (['pending', 'succeeded', 'failed'].includes(req.query.status)) filter.status = req.query.status;
+
+        const deliveries = await WebhookDelivery.find(filter).sort({ dateCreated: -1 }).limit(100);
+        return res.status(200).json({ message: 'OK', data: deliveries });
+    } catch {
+        return res.status(500).json({ message: 'Server Error while fetching deliveries', data: null });
+    }
+});
+
+router.post('/:id/ping', async (req, res) => {
+    try {
+        const hook = await findWebhook(req, res);
+        if (!hook) return;
+        const delivery = await ping(hook);
+        return res.status(202).json({ message: 'Ping queued', data: delivery });
+    } catch {
+        return res.status(500).json({ message: 'Server Error while pinging webhook', data: null });
+    }
+});
+
+module.exports = router;
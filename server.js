@@ -1,14 +1,11 @@
 // Get the packages we need
-var express = require('express'),
-    router = express.Router(),
-    mongoose = require('mongoose'),
-    bodyParser = require('body-parser');
+var mongoose = require('mongoose');
 
 // Read .env file
 require('dotenv').config();
 
-// Create our Express application
-var app = express();
+// Our Express application (see app.js)
+var app = require('./app');
 
 // Use environment defined port or 3000
 var port = process.env.PORT || 3000;
@@ -17,23 +14,18 @@ var port = process.env.PORT || 3000;
 mongoose.connect(process.env.MONGODB_URI,  { useNewUrlParser: true }).then(() => console.log("Connected to MongoDB Atlas"))
 .catch((err) => console.error("MongoDB Connection Error:", err.message));
 
-// Allow CORS so that backend and frontend could be put on different servers
-var allowCrossDomain = function (req, res, next) {
-    res.header("Access-Control-Allow-Origin", "*");
-    res.header("Access-Control-Allow-Headers", "X-Requested-With, X-HTTP-Method-Override, Content-Type, Accept");
-    res.header("Access-Control-Allow-Methods", "POST, GET, PUT, DELETE, OPTIONS");
-    next();
-};
-app.use(allowCrossDomain);
-
-// Use the body-parser package in our application
-app.use(bodyParser.urlencoded({
-    extended: true
-}));
-app.use(bodyParser.json());
-
-// Use routes as a module (see index.js)
-require('./routes')(app, router);
+if (!process.env.AUTH_SECRET) {
+    console.warn("AUTH_SECRET is not set: logins will fail until it is added to .env");
+}
+
+// Deliver change events to subscribed webhooks
+require('./utils/webhooks').start();
+
+// Purge trashed users and tasks once their retention period is over
+require('./utils/trash').start();
+
+// Record deadline reminders and overdue escalations
+require('./utils/reminders').start();
 
 // Start the server
 app.listen(port);
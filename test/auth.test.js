@@ -0,0 +1,59 @@
+const assert = require('assert');
+const User = require('../models/User');
+const { useDatabase } = require('./helpers/db');
+const { api, admin, as, makeUser, makeTask } = require('./helpers/api');
+
+describe('authorization', function () {
+    useDatabase();
+
+    it('bootstraps the first admin with the ADMIN_API_KEY', async function () {
+        await api.post('/api/users').set(admin)
+            .send({ name: 'Root', email: 'root@example.com', password: 'correct horse', role: 'admin' })
+            .expect(201);
+
+        const login = await api.post('/api/auth/login').send({ email: 'root@example.com', password: 'correct horse' }).expect(200);
+        const me = await api.get('/api/auth/me').set('Authorization', `Bearer ${login.body.data.token}`).expect(200);
+        assert.strictEqual(me.body.data.role, 'admin');
+    });
+
+    it('lets only admins create users', async function () {
+        const alice = await makeUser();
+        await api.post('/api/users').set(as(alice)).send({ name: 'Eve', email: 'eve@example.com' }).expect(403);
+
+        const batch = await api.post('/api/users/batch').set(as(alice))
+            .send({ operations: [{ op: 'create', body: { name: 'Eve', email: 'eve@example.com' } }] })
+            .expect(200);
+        assert.strictEqual(batch.body.data.results[0].status, 403);
+        assert.strictEqual(await User.countDocuments({ email: 'eve@example.com' }), 0);
+    });
+
+    it('lets only admins delete users', async function () {
+        const alice = await makeUser();
+        const bob = await makeUser();
+        await api.delete(`/api/users/${bob._id}`).set(as(alice)).expect(403);
+        await api.delete(`/api/users/${bob._id}`).set(admin).expect(204);
+    });
+
+    it('lets only admin keys, not service keys, update any task', async function () {
+        const alice = await makeUser();
+        const task = await makeTask({ assignedUser: alice._id.toString() });
+        const service = await api.post('/api/auth/api-keys').set(admin).send({ name: 'sync', role: 'service' }).expect(201);
+        const adminKey = await api.post('/api/auth/api-keys').set(admin).send({ name: 'ops', role: 'admin' }).expect(201);
+
+        await api.patch(`/api/tasks/${task._id}`).set('X-API-Key', service.body.data.key)
+            .send({ completed: true })
+            .expect(403);
+        await api.patch(`/api/tasks/${task._id}`).set('X-API-Key', adminKey.body.data.key)
+            .send({ completed: true })
+            .expect(200);
+    });
+
+    it('keeps other users away from a task', async function () {
+        const alice = await makeUser();
+        const bob = await makeUser();
+        const task = await makeTask({ assignedUser: alice._id.toString() });
+
+        await api.patch(`/api/tasks/${task._id}`).set(as(bob)).send({ completed: true }).expect(403);
+        await api.patch(`/api/tasks/${task._id}`).set(as(alice)).send({ completed: true }).expect(200);
+    });
+});
@@ -0,0 +1,27 @@
+const assert = require('assert');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { useDatabase } = require('./helpers/db');
+const { api, admin, makeUser, makeTask } = require('./helpers/api');
+
+describe('auto-assign', function () {
+    useDatabase();
+
+    it('skips tasks whose project no longer exists and assigns the rest', async function () {
+        const alice = await makeUser();
+        const task = await makeTask({ name: 'Loose' });
+        const { insertedId } = await Task.collection.insertOne({
+            name: 'Orphan', deadline: new Date('2030-01-01'), completed: false, archived: false,
+            assignedUser: '', assignedUserName: 'unassigned', project: '5f0000000000000000000099',
+            blockedBy: [], parent: ''
+        });
+
+        const res = await api.post('/api/tasks/auto-assign').set(admin).send({}).expect(200);
+        assert.deepStrictEqual(res.body.data.assignments.map(a => a.task), [task._id]);
+        assert.deepStrictEqual(res.body.data.skipped, [{ task: insertedId.toString(), reason: 'its project no longer exists' }]);
+
+        const user = await User.findById(alice._id).lean();
+        assert.deepStrictEqual(user.pendingTasks, [task._id]);
+        assert.strictEqual((await Task.findById(insertedId)).assignedUser, '');
+    });
+});
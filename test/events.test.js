@@ -0,0 +1,116 @@
+const assert = require('assert');
+const http = require('http');
+const mongoose = require('mongoose');
+const app = require('../app');
+const AuditEntry = require('../models/AuditEntry');
+const { publish } = require('../utils/events');
+const { useDatabase } = require('./helpers/db');
+const { api, admin, as, makeUser, makeTask } = require('./helpers/api');
+
+// Opens GET /api/events and collects the parsed events until close().
+function openStream(server, headers, query = '') {
+    const events = [];
+    return new Promise((resolve, reject) => {
+        const req = http.get({ port: server.address().port, path: `/api/events${query}`, headers }, (res) => {
+            let buffer = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                buffer += chunk;
+                const blocks = buffer.split('\n\n');
+                buffer = blocks.pop();
+                blocks.forEach(block => {
+                    const lines = block.split('\n');
+                    const name = lines.find(line => line.startsWith('event: '));
+                    const data = lines.find(line => line.startsWith('data: '));
+                    if (name && data) events.push(Object.assign({ event: name.slice(7) }, JSON.parse(data.slice(6))));
+                });
+            });
+            resolve({ events, close: () => req.destroy() });
+        });
+        req.on('error', err => { if (err.code !== 'ECONNRESET') reject(err); });
+    });
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('event stream', function () {
+    useDatabase();
+
+    let server;
+
+    before(function (done) { server = app.listen(0, done); });
+    after(function (done) { server.close(done); });
+
+    it('shows non-admins only their own tasks and user record', async function () {
+        const alice = await makeUser();
+        const bob = await makeUser();
+        const stream = await openStream(server, as(alice));
+        const everything = await openStream(server, admin);
+
+        const mine = await makeTask({ assignedUser: alice._id.toString() });
+        const theirs = await makeTask({ assignedUser: bob._id.toString() });
+        await api.patch(`/api/users/${bob._id}`).set(admin).send({ name: 'Robert' }).expect(200);
+        await wait(200);
+        stream.close();
+        everything.close();
+
+        const seen = stream.events.map(e => e.resourceId);
+        assert.ok(seen.includes(mine._id));
+        assert.ok(!seen.includes(theirs._id));
+        assert.ok(!seen.includes(bob._id.toString()));
+        assert.ok(everything.events.some(e => e.resourceId === theirs._id));
+    });
+
+    it('replays reassignments with the previous assignee, like the live stream', async function () {
+        const alice = await makeUser();
+        const bob = await makeUser();
+        const task = await makeTask({ assignedUser: alice._id.toString() });
+        const history = await api.get(`/api/tasks/${task._id}/history`).set(admin).expect(200);
+        const lastEventId = history.body.data[history.body.data.length - 1]._id;
+
+        await api.patch(`/api/tasks/${task._id}`).set(admin).send({ assignedUser: bob._id.toString() }).expect(200);
+
+        const stream = await openStream(server, Object.assign({ 'Last-Event-ID': lastEventId }, as(alice)),
+            `?assignedUser=${alice._id}`);
+        await wait(200);
+        stream.close();
+
+        const reassigned = stream.events.find(e => e.type === 'task.reassigned');
+        assert.ok(reassigned, 'the reassignment away from alice is replayed to her');
+        assert.strictEqual(reassigned.previous.assignedUser, alice._id.toString());
+        assert.strictEqual(reassigned.data.assignedUser, bob._id.toString());
+    });
+
+    it('delivers live events that commit out of id order', async function () {
+        const stream = await openStream(server, admin);
+        const event = id => ({ id, type: 'task.updated', types: ['task.updated'], resource: 'task', resourceId: id, data: {} });
+        const later = new mongoose.Types.ObjectId();
+        const earlier = mongoose.Types.ObjectId.createFromTime(later.getTimestamp().getTime() / 1000 - 60);
+        await wait(100);
+        publish(event(later.toString()));
+        publish(event(earlier.toString()));
+        await wait(100);
+        stream.close();
+
+        assert.deepStrictEqual(stream.events.map(e => e.id), [later.toString(), earlier.toString()]);
+    });
+
+    it('says so when the replay is cut short', async function () {
+        const first = mongoose.Types.ObjectId.createFromTime(Math.floor(Date.now() / 1000) - 60).toString();
+        await AuditEntry.collection.insertMany(Array.from({ length: 1001 }, () => ({
+            entityType: 'User', entityId: first, action: 'update', changes: [], timestamp: new Date()
+        })));
+
+        const stream = await openStream(server, Object.assign({ 'Last-Event-ID': first }, admin));
+        await wait(500);
+        stream.close();
+
+        const replayed = stream.events.filter(e => e.event !== 'replay-truncated');
+        const truncated = stream.events.find(e => e.event === 'replay-truncated');
+        assert.strictEqual(replayed.length, 1000);
+        assert.ok(truncated, 'the client is told to resync');
+        assert.strictEqual(truncated.lastEventId, replayed[replayed.length - 1].id);
+    });
+});
@@ -0,0 +1,26 @@
+const request = require('supertest');
+const app = require('../../app');
+const User = require('../../models/User');
+const { signToken } = require('../../utils/auth');
+
+const api = request(app);
+const admin = { 'X-API-Key': process.env.ADMIN_API_KEY };
+
+function as(user) {
+    return { Authorization: 'Bearer ' + signToken(user) };
+}
+
+async function makeUser(fields = {}) {
+    const n = Math.random().toString(36).slice(2, 10);
+    return new User(Object.assign({ name: `User ${n}`, email: `${n}@example.com` }, fields)).save();
+}
+
+// Creates a task through the API, so the assignee's pendingTasks match.
+async function makeTask(fields = {}) {
+    const res = await api.post('/api/tasks').set(admin)
+        .send(Object.assign({ name: 'Task', deadline: '2030-01-01T00:00:00.000Z' }, fields))
+        .expect(201);
+    return res.body.data;
+}
+
+module.exports = { api, admin, as, makeUser, makeTask };
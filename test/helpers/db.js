@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+// One in-memory, single-node replica set (transactions need a replica set)
+// shared by every test file that calls useDatabase().
+let replSet = null;
+
+async function startDatabase() {
+    if (replSet) return;
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    await mongoose.connect(replSet.getUri(), { useNewUrlParser: true, useUnifiedTopology: true });
+    // Build the indexes (the unique ones in particular) before any test runs.
+    await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+}
+
+async function stopDatabase() {
+    if (!replSet) return;
+    await mongoose.disconnect();
+    await replSet.stop();
+    replSet = null;
+}
+
+function clearDatabase() {
+    return Promise.all(Object.values(mongoose.connection.collections).map(c => c.deleteMany({})));
+}
+
+// Gives the surrounding describe() a connected, empty database before each
+// of its tests.
+function useDatabase() {
+    before(startDatabase);
+    beforeEach(clearDatabase);
+}
+
+module.exports = { useDatabase, stopDatabase };
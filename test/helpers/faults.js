@@ -0,0 +1,17 @@
+const AuditEntry = require('../../models/AuditEntry');
+
+// Makes the nth audit entry written from now on fail. Every change inside a
+// transaction is logged right after it is made, so this aborts a request
+// part way, after the writes before that entry went through. Returns a
+// function that undoes it.
+function failNthAuditWrite(n) {
+    let calls = 0;
+    AuditEntry.prototype.save = function (...args) {
+        calls += 1;
+        if (calls === n) return Promise.reject(new Error('injected failure'));
+        return Object.getPrototypeOf(AuditEntry.prototype).save.apply(this, args);
+    };
+    return () => { delete AuditEntry.prototype.save; };
+}
+
+module.exports = { failNthAuditWrite };
@@ -0,0 +1,12 @@
+// Polls `check` until it returns something truthy, and returns that.
+async function waitFor(check, timeoutMs = 5000) {
+    const until = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > until) throw new Error('timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+module.exports = { waitFor };
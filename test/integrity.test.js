@@ -0,0 +1,34 @@
+const assert = require('assert');
+const User = require('../models/User');
+const { useDatabase } = require('./helpers/db');
+const { api, admin, makeUser, makeTask } = require('./helpers/api');
+
+describe('POST /api/admin/integrity/repair', function () {
+    useDatabase();
+
+    it('records its fixes in the history of the repaired documents', async function () {
+        const alice = await makeUser();
+        const task = await makeTask({ assignedUser: alice._id.toString() });
+        // Drift the user side behind the API's back.
+        await User.collection.updateOne({ _id: alice._id }, { $set: { pendingTasks: [] } });
+
+        const res = await api.post('/api/admin/integrity/repair').set(admin).send({}).expect(200);
+        assert.strictEqual(res.body.data.summary.missingPendingTask, 1);
+        assert.deepStrictEqual((await User.findById(alice._id).lean()).pendingTasks, [task._id]);
+
+        const history = await api.get(`/api/users/${alice._id}/history`).set(admin).expect(200);
+        const repair = history.body.data[history.body.data.length - 1];
+        assert.strictEqual(repair.action, 'update');
+        assert.strictEqual(repair.actor.kind, 'apiKey');
+        assert.deepStrictEqual(repair.changes.find(c => c.field === 'pendingTasks').after, [task._id]);
+    });
+
+    it('changes nothing on a dry run', async function () {
+        const alice = await makeUser();
+        await makeTask({ assignedUser: alice._id.toString() });
+        await User.collection.updateOne({ _id: alice._id }, { $set: { pendingTasks: [] } });
+
+        await api.post('/api/admin/integrity/repair?dryRun=true').set(admin).expect(200);
+        assert.deepStrictEqual((await User.findById(alice._id).lean()).pendingTasks, []);
+    });
+});
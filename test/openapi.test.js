@@ -0,0 +1,175 @@
+const assert = require('assert');
+const http = require('http');
+const app = require('../app');
+const { document } = require('../utils/openapi');
+const { hashPassword } = require('../utils/auth');
+const { useDatabase } = require('./helpers/db');
+const { api, admin, as, makeUser, makeTask } = require('./helpers/api');
+
+// One call per documented operation. setup.js turns on strict response
+// validation, so a handler whose response drifts from the document answers
+// 500 here instead of passing.
+const OPERATIONS = {
+    'GET /api': () => api.get('/api'),
+    'GET /api/openapi.json': () => api.get('/api/openapi.json'),
+    'GET /api/docs': () => api.get('/api/docs'),
+
+    'POST /api/auth/login': f => api.post('/api/auth/login').send({ email: f.alice.email, password: 'correct horse' }),
+    'GET /api/auth/me': f => api.get('/api/auth/me').set(as(f.alice)),
+    'GET /api/auth/api-keys': () => api.get('/api/auth/api-keys').set(admin),
+    'POST /api/auth/api-keys': () => api.post('/api/auth/api-keys').set(admin).send({ name: 'sync', role: 'service' }),
+    'DELETE /api/auth/api-keys/{id}': f => api.delete(`/api/auth/api-keys/${f.key._id}`).set(admin),
+
+    'GET /api/users': () => api.get('/api/users').set(admin),
+    'POST /api/users': () => api.post('/api/users').set(admin).send({ name: 'Carol', email: 'carol@example.com' }),
+    'POST /api/users/batch': () => api.post('/api/users/batch').set(admin)
+        .send({ operations: [{ op: 'create', body: { name: 'Dave', email: 'dave@example.com' } }] }),
+    'GET /api/users/{id}': f => api.get(`/api/users/${f.alice._id}`).set(admin),
+    'PUT /api/users/{id}': f => api.put(`/api/users/${f.alice._id}`).set(admin)
+        .send({ name: 'Alice', email: f.alice.email, pendingTasks: [f.task._id] }),
+    'PATCH /api/users/{id}': f => api.patch(`/api/users/${f.alice._id}`).set(admin).send({ name: 'Alice' }),
+    'DELETE /api/users/{id}': f => api.delete(`/api/users/${f.bob._id}`).set(admin),
+    'GET /api/users/{id}/history': f => api.get(`/api/users/${f.alice._id}/history`).set(admin),
+    'GET /api/users/{id}/notifications': f => api.get(`/api/users/${f.alice._id}/notifications`).set(as(f.alice)),
+    'GET /api/users/{id}/calendar.ics': f => api.get(`/api/users/${f.alice._id}/calendar.ics`).set(as(f.alice)),
+    'POST /api/users/{id}/restore': f => api.post(`/api/users/${f.trashedUser._id}/restore`).set(admin),
+
+    'GET /api/tasks': () => api.get('/api/tasks').set(admin),
+    'POST /api/tasks': () => api.post('/api/tasks').set(admin).send({ name: 'New', deadline: '2030-01-01T00:00:00.000Z' }),
+    'GET /api/tasks/search': () => api.get('/api/tasks/search').query({ q: 'Write' }).set(admin),
+    'GET /api/tasks/calendar.ics': () => api.get('/api/tasks/calendar.ics').set(admin),
+    'POST /api/tasks/auto-assign': () => api.post('/api/tasks/auto-assign').set(admin).send({}),
+    'POST /api/tasks/batch': () => api.post('/api/tasks/batch').set(admin)
+        .send({ operations: [{ op: 'create', body: { name: 'Batched', deadline: '2030-01-01T00:00:00.000Z' } }] }),
+    'GET /api/tasks/{id}': f => api.get(`/api/tasks/${f.task._id}`).set(admin),
+    'PUT /api/tasks/{id}': f => api.put(`/api/tasks/${f.task._id}`).set(admin)
+        .send({ name: 'Write docs', deadline: '2030-02-01T00:00:00.000Z', project: f.project._id, assignedUser: f.alice._id.toString() }),
+    'PATCH /api/tasks/{id}': f => api.patch(`/api/tasks/${f.task._id}`).set(admin).send({ description: 'All of them' }),
+    'DELETE /api/tasks/{id}': f => api.delete(`/api/tasks/${f.task._id}`).set(admin),
+    'GET /api/tasks/{id}/history': f => api.get(`/api/tasks/${f.task._id}/history`).set(admin),
+    'GET /api/tasks/{id}/graph': f => api.get(`/api/tasks/${f.task._id}/graph`).set(admin),
+    'GET /api/tasks/{id}/occurrences': f => api.get(`/api/tasks/${f.recurring._id}/occurrences`).set(admin),
+    'DELETE /api/tasks/{id}/recurrence': f => api.delete(`/api/tasks/${f.recurring._id}/recurrence`).set(admin),
+    'POST /api/tasks/{id}/restore': f => api.post(`/api/tasks/${f.trashedTask._id}/restore`).set(admin),
+
+    'GET /api/projects': () => api.get('/api/projects').set(admin),
+    'POST /api/projects': () => api.post('/api/projects').set(admin).send({ name: 'Beta' }),
+    'GET /api/projects/{id}': f => api.get(`/api/projects/${f.project._id}`).set(admin),
+    'PUT /api/projects/{id}': f => api.put(`/api/projects/${f.project._id}`).set(admin)
+        .send({ name: 'Launch', members: [f.alice._id.toString()] }),
+    'PATCH /api/projects/{id}': f => api.patch(`/api/projects/${f.project._id}`).set(admin).send({ description: 'Q3' }),
+    'DELETE /api/projects/{id}': f => api.delete(`/api/projects/${f.project._id}`).set(admin),
+    'GET /api/projects/{id}/history': f => api.get(`/api/projects/${f.project._id}/history`).set(admin),
+    'GET /api/projects/{id}/tasks': f => api.get(`/api/projects/${f.project._id}/tasks`).set(admin),
+    'GET /api/projects/{id}/counts': f => api.get(`/api/projects/${f.project._id}/counts`).set(admin),
+
+    'GET /api/stats/overview': () => api.get('/api/stats/overview').set(admin),
+    'GET /api/stats/users': () => api.get('/api/stats/users').set(admin),
+    'GET /api/stats/completions': () => api.get('/api/stats/completions').set(admin),
+    'GET /api/stats/burndown': () => api.get('/api/stats/burndown').set(admin),
+    'GET /api/stats/overdue': () => api.get('/api/stats/overdue').set(admin),
+
+    'GET /api/trash': () => api.get('/api/trash').set(admin),
+    'GET /api/admin/integrity': () => api.get('/api/admin/integrity').set(admin),
+    'POST /api/admin/integrity/repair': () => api.post('/api/admin/integrity/repair').set(admin).send({ dryRun: true }),
+    'GET /api/audit': () => api.get('/api/audit').set(admin),
+    'GET /api/export': () => api.get('/api/export').query({ format: 'ndjson' }).set(admin).buffer(true).parse(text),
+    'POST /api/import': () => api.post('/api/import').query({ format: 'ndjson', dryRun: true }).set(admin)
+        .set('Content-Type', 'application/x-ndjson')
+        .send(JSON.stringify({ type: 'user', name: 'Erin', email: 'erin@example.com' }) + '\n'),
+
+    'GET /api/webhooks': () => api.get('/api/webhooks').set(admin),
+    'POST /api/webhooks': () => api.post('/api/webhooks').set(admin).send({ url: 'http://127.0.0.1:9/hook', events: ['task.created'] }),
+    'GET /api/webhooks/{id}': f => api.get(`/api/webhooks/${f.hook._id}`).set(admin),
+    'PATCH /api/webhooks/{id}': f => api.patch(`/api/webhooks/${f.hook._id}`).set(admin).send({ active: false }),
+    'DELETE /api/webhooks/{id}': f => api.delete(`/api/webhooks/${f.hook._id}`).set(admin),
+    'GET /api/webhooks/{id}/deliveries': f => api.get(`/api/webhooks/${f.hook._id}/deliveries`).set(admin),
+    'POST /api/webhooks/{id}/ping': f => api.post(`/api/webhooks/${f.hook._id}/ping`).set(admin),
+
+    'GET /api/calendar/{token}.ics': f => api.get(new URL(f.feed.url).pathname),
+    'GET /api/calendar/subscriptions': f => api.get('/api/calendar/subscriptions').set(as(f.alice)),
+    'POST /api/calendar/subscriptions': f => api.post('/api/calendar/subscriptions').set(as(f.alice)).send({ name: 'Phone' }),
+    'DELETE /api/calendar/subscriptions/{id}': f => api.delete(`/api/calendar/subscriptions/${f.feed._id}`).set(as(f.alice)),
+
+    'GET /api/events': f => openStream(f.server, admin)
+};
+
+// Buffers a streamed text response such as the export.
+function text(res, done) {
+    let body = '';
+    res.setEncoding('utf8');
+    res.on('data', chunk => { body += chunk; });
+    res.on('end', () => done(null, body));
+}
+
+// Opens the event stream just long enough to see its status.
+function openStream(server, headers) {
+    return new Promise((resolve, reject) => {
+        const req = http.get({ port: server.address().port, path: '/api/events', headers }, (res) => {
+            resolve({ status: res.statusCode });
+            req.destroy();
+        });
+        req.on('error', err => { if (err.code !== 'ECONNRESET') reject(err); });
+    });
+}
+
+function documentedOperations() {
+    const operations = [];
+    Object.entries(document.paths).forEach(([path, item]) => {
+        Object.entries(item).forEach(([method, operation]) => {
+            if (operation.responses) operations.push({ name: `${method.toUpperCase()} ${path}`, operation });
+        });
+    });
+    return operations;
+}
+
+describe('API description', function () {
+    it('documents exactly the operations these tests call', function () {
+        assert.deepStrictEqual(documentedOperations().map(o => o.name).sort(), Object.keys(OPERATIONS).sort());
+    });
+
+    it('serves Swagger UI from the installed package', async function () {
+        const page = await api.get('/api/docs').expect(200);
+        const assets = [...page.text.matchAll(/(?:href|src)="([^"]+)"/g)].map(m => m[1]);
+        assert.deepStrictEqual(assets, ['/api/docs/assets/swagger-ui.css', '/api/docs/assets/swagger-ui-bundle.js']);
+        await Promise.all(assets.map(asset => api.get(asset).expect(200)));
+    });
+});
+
+describe('API contract', function () {
+    useDatabase();
+
+    const fixtures = {};
+
+    before(function (done) { fixtures.server = app.listen(0, done); });
+    after(function (done) { fixtures.server.close(done); });
+
+    beforeEach(async function () {
+        const alice = await makeUser({ passwordHash: await hashPassword('correct horse') });
+        const bob = await makeUser();
+        const trashedUser = await makeUser();
+        const project = await api.post('/api/projects').set(admin)
+            .send({ name: 'Launch', members: [alice._id.toString()] }).expect(201);
+        const task = await makeTask({ name: 'Write docs', project: project.body.data._id, assignedUser: alice._id.toString() });
+        const recurring = await makeTask({ name: 'Standup', recurrence: 'FREQ=WEEKLY;BYDAY=MO' });
+        const trashedTask = await makeTask({ name: 'Old' });
+        await api.delete(`/api/users/${trashedUser._id}`).set(admin).expect(204);
+        await api.delete(`/api/tasks/${trashedTask._id}`).set(admin).expect(204);
+        const key = await api.post('/api/auth/api-keys').set(admin).send({ name: 'ci' }).expect(201);
+        const hook = await api.post('/api/webhooks').set(admin).send({ url: 'http://127.0.0.1:9/hook', active: false }).expect(201);
+        const feed = await api.post('/api/calendar/subscriptions').set(as(alice)).send({ name: 'Laptop' }).expect(201);
+
+        Object.assign(fixtures, {
+            alice, bob, trashedUser, project: project.body.data, task, recurring, trashedTask,
+            key: key.body.data, hook: hook.body.data, feed: feed.body.data
+        });
+    });
+
+    documentedOperations().forEach(({ name, operation }) => {
+        it(`${name} answers as documented`, async function () {
+            const res = await OPERATIONS[name](fixtures);
+            assert.ok(res.status < 400, `${name} answered ${res.status}: ${JSON.stringify(res.body)}`);
+            assert.ok(operation.responses[res.status], `${name} answered ${res.status}, which is not documented`);
+        });
+    });
+});
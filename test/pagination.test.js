@@ -0,0 +1,80 @@
+const assert = require('assert');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { useDatabase } = require('./helpers/db');
+const { api, admin } = require('./helpers/api');
+
+// Follows pagination.next from the first page and returns the ids in the
+// order they were read.
+async function readAll(query) {
+    const ids = [];
+    let res = await api.get('/api/tasks').query(query).set(admin).expect(200);
+    for (;;) {
+        ids.push(...res.body.data.map(t => t._id));
+        const cursor = res.body.pagination.next;
+        if (!cursor) return ids;
+        res = await api.get('/api/tasks').query(Object.assign({}, query, { cursor })).set(admin).expect(200);
+    }
+}
+
+describe('cursor pagination', function () {
+    useDatabase();
+
+    let expected;
+
+    beforeEach(async function () {
+        // Half the tasks are open, so their completedAt is null.
+        const docs = [];
+        for (let i = 0; i < 7; i++) {
+            docs.push({
+                name: `Task ${i}`,
+                deadline: new Date('2030-01-01'),
+                completed: i % 2 === 1,
+                completedAt: i % 2 === 1 ? new Date(Date.UTC(2024, 0, i)) : null
+            });
+        }
+        await Task.collection.insertMany(docs);
+        expected = (await Task.find({}, '_id')).map(t => t._id.toString()).sort();
+    });
+
+    it('pages through null sort keys in ascending order', async function () {
+        const ids = await readAll({ sort: '{"completedAt":1}', limit: 2 });
+        assert.deepStrictEqual(ids.slice().sort(), expected);
+    });
+
+    it('pages through null sort keys in descending order', async function () {
+        const ids = await readAll({ sort: '{"completedAt":-1}', limit: 2 });
+        assert.deepStrictEqual(ids.slice().sort(), expected);
+    });
+
+    it('pages back over null sort keys', async function () {
+        const forward = await readAll({ sort: '{"completedAt":-1}', limit: 3 });
+        let res = await api.get('/api/tasks').query({ sort: '{"completedAt":-1}', limit: 3 }).set(admin).expect(200);
+        while (res.body.pagination.next) {
+            res = await api.get('/api/tasks').query({ sort: '{"completedAt":-1}', limit: 3, cursor: res.body.pagination.next })
+                .set(admin).expect(200);
+        }
+        const back = res.body.data.map(t => t._id);
+        while (res.body.pagination.prev) {
+            res = await api.get('/api/tasks').query({ sort: '{"completedAt":-1}', limit: 3, cursor: res.body.pagination.prev })
+                .set(admin).expect(200);
+            back.unshift(...res.body.data.map(t => t._id));
+        }
+        assert.deepStrictEqual(back, forward);
+    });
+});
+
+describe('user listing', function () {
+    useDatabase();
+
+    it('lists every user when no limit or cursor is given', async function () {
+        const docs = [];
+        for (let i = 0; i < 1005; i++) docs.push({ name: `User ${i}`, email: `user${i}@example.com`, pendingTasks: [] });
+        await User.collection.insertMany(docs);
+
+        const res = await api.get('/api/users').set(admin).expect(200);
+        assert.strictEqual(res.body.data.length, 1005);
+        assert.strictEqual(res.body.pagination.limit, null);
+        assert.strictEqual(res.body.pagination.next, null);
+    });
+});
@@ -0,0 +1,50 @@
+const assert = require('assert');
+const { useDatabase } = require('./helpers/db');
+const { api, admin, makeUser, makeTask } = require('./helpers/api');
+
+describe('tasks without a project', function () {
+    useDatabase();
+
+    let alice;
+    let bob;
+    let projectId;
+
+    beforeEach(async function () {
+        alice = await makeUser();
+        bob = await makeUser();
+        const project = await api.post('/api/projects').set(admin)
+            .send({ name: 'Launch', members: [alice._id.toString()] })
+            .expect(201);
+        projectId = project.body.data._id;
+    });
+
+    it('can be assigned to anyone', async function () {
+        const task = await makeTask({ assignedUser: bob._id.toString() });
+        assert.strictEqual(task.project, '');
+        assert.strictEqual(task.assignedUser, bob._id.toString());
+    });
+
+    it('only lets project members be assigned once filed under a project', async function () {
+        const task = await makeTask({ assignedUser: bob._id.toString() });
+        await api.patch(`/api/tasks/${task._id}`).set(admin).send({ project: projectId }).expect(400);
+        await api.patch(`/api/tasks/${task._id}`).set(admin)
+            .send({ project: projectId, assignedUser: alice._id.toString() })
+            .expect(200);
+    });
+
+    it('leaves a project when project is set back to ""', async function () {
+        const task = await makeTask({ project: projectId, assignedUser: alice._id.toString() });
+        const res = await api.patch(`/api/tasks/${task._id}`).set(admin)
+            .send({ project: '', assignedUser: bob._id.toString() })
+            .expect(200);
+        assert.strictEqual(res.body.data.project, '');
+    });
+
+    it('are listed with where project ""', async function () {
+        const loose = await makeTask({ name: 'Loose' });
+        await makeTask({ name: 'Filed', project: projectId });
+
+        const res = await api.get('/api/tasks').query({ where: '{"project":""}' }).set(admin).expect(200);
+        assert.deepStrictEqual(res.body.data.map(t => t._id), [loose._id]);
+    });
+});
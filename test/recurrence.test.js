@@ -0,0 +1,27 @@
+const assert = require('assert');
+const Task = require('../models/Task');
+const { useDatabase } = require('./helpers/db');
+const { api, admin, makeTask } = require('./helpers/api');
+
+describe('recurring tasks', function () {
+    useDatabase();
+
+    it('creates the next occurrence when a daily task is completed with PATCH', async function () {
+        const task = await makeTask({ name: 'Standup', deadline: '2030-01-01T09:00:00.000Z', recurrence: { freq: 'daily' } });
+
+        await api.patch(`/api/tasks/${task._id}`).set(admin).send({ completed: true }).expect(200);
+
+        const next = await Task.findOne({ seriesId: task._id, occurrence: task.occurrence + 1 }).lean();
+        assert.ok(next);
+        assert.strictEqual(next.completed, false);
+        assert.strictEqual(next.deadline.toISOString(), '2030-01-02T09:00:00.000Z');
+    });
+
+    it('accepts a PUT that sends back the task as read', async function () {
+        const task = await makeTask({ name: 'Report', deadline: '2030-01-31T09:00:00.000Z', recurrence: { freq: 'monthly' } });
+        const read = await api.get(`/api/tasks/${task._id}`).set(admin).expect(200);
+
+        const res = await api.put(`/api/tasks/${task._id}`).set(admin).send(read.body.data).expect(200);
+        assert.deepStrictEqual(res.body.data.recurrence, read.body.data.recurrence);
+    });
+});
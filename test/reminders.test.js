@@ -0,0 +1,90 @@
+const assert = require('assert');
+const Notification = require('../models/Notification');
+const reminders = require('../utils/reminders');
+const { useDatabase } = require('./helpers/db');
+const { api, admin, makeUser, makeTask } = require('./helpers/api');
+const { waitFor } = require('./helpers/wait');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEADLINE = new Date('2030-01-01T12:00:00.000Z');
+
+function at(hoursFromDeadline) {
+    return new Date(DEADLINE.getTime() + hoursFromDeadline * HOUR_MS);
+}
+
+// Waits until the scheduler has recorded `count` notifications in all.
+function notificationCount(count) {
+    return waitFor(async () => (await Notification.countDocuments({})) === count);
+}
+
+// Waits for a few runs of the scheduler.
+function someRuns() {
+    return new Promise(resolve => setTimeout(resolve, 200));
+}
+
+describe('reminder scheduler', function () {
+    useDatabase();
+
+    let now;
+    let alice;
+    let escalations;
+    let task;
+
+    beforeEach(async function () {
+        alice = await makeUser();
+        escalations = await makeUser({ email: process.env.ESCALATION_ADMIN_EMAIL, role: 'admin' });
+        task = await makeTask({ assignedUser: alice._id.toString(), deadline: DEADLINE.toISOString() });
+        now = at(-48);
+        reminders.start(() => now);
+    });
+
+    afterEach(function () {
+        reminders.stop();
+    });
+
+    it('reminds, then reports overdue, then escalates as the clock moves', async function () {
+        await someRuns();
+        assert.strictEqual(await Notification.countDocuments({}), 0);
+
+        now = at(-2);
+        await notificationCount(1);
+        assert.ok(await Notification.findOne({ user: alice._id.toString(), kind: 'due-soon', task: task._id }));
+
+        now = at(1);
+        await notificationCount(2);
+        assert.ok(await Notification.findOne({ user: alice._id.toString(), kind: 'overdue', task: task._id }));
+
+        now = at(25);
+        await notificationCount(3);
+        assert.ok(await Notification.findOne({ user: escalations._id.toString(), kind: 'escalation', task: task._id }));
+    });
+
+    it('does not read a task again once it is escalated', async function () {
+        now = at(25);
+        await notificationCount(2);
+
+        const original = Notification.bulkWrite;
+        let writes = 0;
+        Notification.bulkWrite = function (...args) {
+            writes += 1;
+            return original.apply(this, args);
+        };
+        try {
+            await someRuns();
+        } finally {
+            Notification.bulkWrite = original;
+        }
+        assert.strictEqual(writes, 0);
+    });
+
+    it('starts over when the deadline moves', async function () {
+        now = at(1);
+        await notificationCount(1);
+
+        const later = at(24).toISOString();
+        await api.patch(`/api/tasks/${task._id}`).set(admin).send({ deadline: later }).expect(200);
+        now = at(23);
+        await notificationCount(2);
+        assert.ok(await Notification.findOne({ kind: 'due-soon', deadline: new Date(later) }));
+    });
+});
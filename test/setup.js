@@ -0,0 +1,16 @@
+// Loaded by mocha before any test file (see .mocharc.json). Settings read at
+// module load time have to be in place before the app is required.
+process.env.NODE_ENV = 'test';
+process.env.AUTH_SECRET = 'test-secret';
+process.env.ADMIN_API_KEY = 'test-admin-key';
+process.env.OPENAPI_RESPONSE_VALIDATION = 'strict';
+process.env.WEBHOOK_RETRY_BASE_MS = '50';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.ESCALATION_ADMIN_EMAIL = 'escalations@example.com';
+process.env.REMINDER_INTERVAL_MS = '50';
+
+const { stopDatabase } = require('./helpers/db');
+
+exports.mochaHooks = {
+    afterAll: stopDatabase
+};
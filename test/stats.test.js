@@ -0,0 +1,44 @@
+const assert = require('assert');
+const Task = require('../models/Task');
+const { useDatabase } = require('./helpers/db');
+const { api, admin } = require('./helpers/api');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysAgo(n) {
+    return new Date(Date.now() - n * DAY_MS);
+}
+
+describe('stats', function () {
+    useDatabase();
+
+    beforeEach(async function () {
+        const user = '5f0000000000000000000001';
+        await Task.collection.insertMany([
+            // Created long before the period but completed in it.
+            { name: 'Old', deadline: daysAgo(1), completed: true, completedAt: daysAgo(2), dateCreated: daysAgo(90),
+                assignedUser: user, assignedUserName: 'Old name', archived: false },
+            { name: 'Old too', deadline: daysAgo(1), completed: true, completedAt: daysAgo(2), dateCreated: daysAgo(80),
+                assignedUser: user, assignedUserName: 'Old name', archived: false },
+            // Created in the period: one done, one open.
+            { name: 'Done', deadline: daysAgo(1), completed: true, completedAt: daysAgo(3), dateCreated: daysAgo(5),
+                assignedUser: user, assignedUserName: 'New name', archived: false },
+            { name: 'Open', deadline: daysAgo(-5), completed: false, completedAt: null, dateCreated: daysAgo(4),
+                assignedUser: user, assignedUserName: 'New name', archived: false }
+        ]);
+    });
+
+    it('rates completion over the tasks created in the period', async function () {
+        const res = await api.get('/api/stats/overview').set(admin).expect(200);
+        assert.strictEqual(res.body.data.created, 2);
+        assert.strictEqual(res.body.data.completed, 3);
+        assert.strictEqual(res.body.data.completionRate, 0.5);
+    });
+
+    it('names each assignee after their newest task', async function () {
+        const res = await api.get('/api/stats/users').set(admin).expect(200);
+        assert.strictEqual(res.body.data.length, 1);
+        assert.strictEqual(res.body.data[0].name, 'New name');
+        assert.strictEqual(res.body.data[0].completionRate, 0.5);
+    });
+});
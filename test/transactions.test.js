@@ -0,0 +1,112 @@
+const assert = require('assert');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const AuditEntry = require('../models/AuditEntry');
+const { useDatabase } = require('./helpers/db');
+const { api, admin, makeUser, makeTask } = require('./helpers/api');
+const { failNthAuditWrite } = require('./helpers/faults');
+
+// Each case fails a request after it has written to both the user and the
+// task side, then checks that neither write survived.
+describe('user/task writes roll back together', function () {
+    useDatabase();
+
+    let restore = null;
+    afterEach(() => { if (restore) restore(); restore = null; });
+
+    async function pendingOf(user) {
+        return (await User.findById(user._id).lean()).pendingTasks;
+    }
+
+    it('POST /api/tasks', async function () {
+        const alice = await makeUser();
+
+        // 1: the task, 2: alice's pendingTasks
+        restore = failNthAuditWrite(2);
+        await api.post('/api/tasks').set(admin)
+            .send({ name: 'Report', deadline: '2030-01-01', assignedUser: alice._id.toString() })
+            .expect(500);
+
+        assert.strictEqual(await Task.countDocuments(), 0);
+        assert.deepStrictEqual(await pendingOf(alice), []);
+        assert.strictEqual(await AuditEntry.countDocuments(), 0);
+    });
+
+    it('PUT /api/tasks/:id', async function () {
+        const alice = await makeUser();
+        const bob = await makeUser();
+        const task = await makeTask({ assignedUser: alice._id.toString() });
+
+        // 1: the task, 2: alice's pendingTasks, 3: bob's pendingTasks
+        restore = failNthAuditWrite(3);
+        await api.put(`/api/tasks/${task._id}`).set(admin)
+            .send({ name: task.name, deadline: task.deadline, assignedUser: bob._id.toString() })
+            .expect(500);
+
+        const stored = await Task.findById(task._id).lean();
+        assert.strictEqual(stored.assignedUser, alice._id.toString());
+        assert.strictEqual(stored.__v, task.__v);
+        assert.deepStrictEqual(await pendingOf(alice), [task._id]);
+        assert.deepStrictEqual(await pendingOf(bob), []);
+    });
+
+    it('DELETE /api/tasks/:id', async function () {
+        const alice = await makeUser();
+        const task = await makeTask({ assignedUser: alice._id.toString() });
+
+        // 1: the task, 2: alice's pendingTasks
+        restore = failNthAuditWrite(2);
+        const res = await api.delete(`/api/tasks/${task._id}`).set(admin);
+        assert.ok(res.status >= 400, `expected a failure, got ${res.status}`);
+
+        assert.strictEqual((await Task.findById(task._id).lean()).deletedAt, null);
+        assert.deepStrictEqual(await pendingOf(alice), [task._id]);
+    });
+
+    it('POST /api/users', async function () {
+        const alice = await makeUser();
+        const task = await makeTask({ assignedUser: alice._id.toString() });
+
+        // 1: alice's pendingTasks, 2: the task, 3: the new user
+        restore = failNthAuditWrite(3);
+        await api.post('/api/users').set(admin)
+            .send({ name: 'Carol', email: 'carol@example.com', pendingTasks: [task._id] })
+            .expect(500);
+
+        assert.strictEqual(await User.countDocuments({ email: 'carol@example.com' }), 0);
+        assert.strictEqual((await Task.findById(task._id).lean()).assignedUser, alice._id.toString());
+        assert.deepStrictEqual(await pendingOf(alice), [task._id]);
+    });
+
+    it('PUT /api/users/:id', async function () {
+        const alice = await makeUser();
+        const bob = await makeUser();
+        const task = await makeTask({ assignedUser: alice._id.toString() });
+
+        // 1: alice's pendingTasks, 2: the task, 3: bob
+        restore = failNthAuditWrite(3);
+        await api.put(`/api/users/${bob._id}`).set(admin)
+            .send({ name: bob.name, email: bob.email, pendingTasks: [task._id] })
+            .expect(500);
+
+        const stored = await Task.findById(task._id).lean();
+        assert.strictEqual(stored.assignedUser, alice._id.toString());
+        assert.strictEqual(stored.assignedUserName, alice.name);
+        assert.deepStrictEqual(await pendingOf(alice), [task._id]);
+        assert.deepStrictEqual(await pendingOf(bob), []);
+    });
+
+    it('DELETE /api/users/:id', async function () {
+        const alice = await makeUser();
+        const task = await makeTask({ assignedUser: alice._id.toString() });
+
+        // 1: the task, 2: alice
+        restore = failNthAuditWrite(2);
+        const res = await api.delete(`/api/users/${alice._id}`).set(admin);
+        assert.ok(res.status >= 400, `expected a failure, got ${res.status}`);
+
+        assert.strictEqual((await User.findById(alice._id).lean()).deletedAt, null);
+        assert.strictEqual((await Task.findById(task._id).lean()).assignedUser, alice._id.toString());
+        assert.deepStrictEqual(await pendingOf(alice), [task._id]);
+    });
+});
@@ -0,0 +1,100 @@
+const assert = require('assert');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const { useDatabase } = require('./helpers/db');
+const { api, admin, makeUser, makeTask } = require('./helpers/api');
+
+const CONTENT_TYPES = { csv: 'text/csv', ndjson: 'application/x-ndjson' };
+
+function exportAs(format) {
+    return api.get('/api/export').query({ format }).set(admin)
+        .buffer(true)
+        .parse((res, done) => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => done(null, body));
+        })
+        .expect(200);
+}
+
+// Everything the file should carry, with ids swapped for names so the two
+// databases compare.
+async function describeData() {
+    const users = await User.find({}).lean();
+    const projects = await Project.find({}).lean();
+    const tasks = await Task.find({}).lean();
+    const userName = new Map(users.map(u => [String(u._id), u.name]));
+    const projectName = new Map(projects.map(p => [String(p._id), p.name]));
+    const taskName = new Map(tasks.map(t => [String(t._id), t.name]));
+
+    return {
+        users: users.map(u => ({
+            name: u.name, email: u.email, role: u.role, pendingTasks: u.pendingTasks.map(id => taskName.get(id)).sort()
+        })).sort((a, b) => a.email.localeCompare(b.email)),
+        projects: projects.map(p => ({ name: p.name, members: p.members.map(id => userName.get(id)).sort() })),
+        tasks: tasks.map(t => ({
+            name: t.name,
+            assignedUser: userName.get(t.assignedUser) || '',
+            project: projectName.get(t.project) || '',
+            parent: taskName.get(t.parent) || '',
+            blockedBy: t.blockedBy.map(id => taskName.get(id)).sort(),
+            recurrence: t.recurrence ? JSON.parse(JSON.stringify(t.recurrence)) : null,
+            archived: t.archived,
+            completed: t.completed,
+            subtasks: t.subtasks
+        })).sort((a, b) => a.name.localeCompare(b.name))
+    };
+}
+
+describe('export and import', function () {
+    useDatabase();
+
+    beforeEach(async function () {
+        const alice = await makeUser({ name: 'Alice' });
+        const bob = await makeUser({ name: 'Bob' });
+        const project = await api.post('/api/projects').set(admin)
+            .send({ name: 'Launch', members: [alice._id.toString()] })
+            .expect(201);
+        const projectId = project.body.data._id;
+
+        const parent = await makeTask({ name: 'Parent', assignedUser: alice._id.toString(), project: projectId });
+        const child = await makeTask({ name: 'Child', parent: parent._id, project: projectId });
+        await makeTask({ name: 'Blocked', assignedUser: bob._id.toString(), blockedBy: [child._id] });
+        await makeTask({ name: 'Weekly', deadline: '2030-01-07T09:00:00.000Z', recurrence: { freq: 'weekly', byDay: ['MO', 'WE'] } });
+        await makeTask({ name: 'Loose' });
+        const archived = await makeTask({ name: 'Archived' });
+        await Task.updateOne({ _id: archived._id }, { $set: { archived: true } });
+    });
+
+    ['csv', 'ndjson'].forEach(format => {
+        it(`round-trips projects, subtasks, blockers, recurrence and archiving as ${format}`, async function () {
+            const before = await describeData();
+            const file = (await exportAs(format)).body;
+
+            await Promise.all([Task, User, Project].map(Model => Model.collection.deleteMany({})));
+            const res = await api.post('/api/import').set(admin).set('Content-Type', CONTENT_TYPES[format]).send(file);
+            assert.strictEqual(res.status, 201, JSON.stringify(res.body));
+            assert.strictEqual(res.body.data.projects.create, 1);
+            assert.strictEqual(res.body.data.tasks.create, 6);
+
+            assert.deepStrictEqual(await describeData(), before);
+        });
+    });
+
+    it('reports references to rows that are not in the file, cycles and bad rules', async function () {
+        const file = [
+            { type: 'task', _id: 'a', name: 'A', deadline: '2030-01-01', project: 'nope' },
+            { type: 'task', _id: 'b', name: 'B', deadline: '2030-01-01', parent: 'c', blockedBy: ['a'] },
+            { type: 'task', _id: 'c', name: 'C', deadline: '2030-01-01', parent: 'b', recurrence: { freq: 'hourly' } }
+        ].map(r => JSON.stringify(r)).join('\n');
+
+        const res = await api.post('/api/import').query({ dryRun: true }).set(admin)
+            .set('Content-Type', CONTENT_TYPES.ndjson).send(file).expect(200);
+        const fields = res.body.data.errors.map(e => `${e.row} ${e.field}`);
+        assert.ok(fields.includes('1 project'));
+        assert.ok(fields.includes('3 recurrence'));
+        assert.ok(fields.some(f => f.endsWith(' parent')), 'the subtask cycle is reported');
+    });
+});
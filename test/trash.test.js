@@ -0,0 +1,86 @@
+const assert = require('assert');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const { useDatabase } = require('./helpers/db');
+const { api, admin, makeUser, makeTask } = require('./helpers/api');
+
+function restore(task) {
+    return api.post(`/api/tasks/${task._id}/restore`).set(admin).expect(200).then(res => res.body.data);
+}
+
+async function pendingOf(user) {
+    return (await User.findById(user._id).lean()).pendingTasks;
+}
+
+describe('restoring from the trash', function () {
+    useDatabase();
+
+    let alice;
+    let projectId;
+
+    beforeEach(async function () {
+        alice = await makeUser();
+        const project = await api.post('/api/projects').set(admin)
+            .send({ name: 'Launch', members: [alice._id.toString()] })
+            .expect(201);
+        projectId = project.body.data._id;
+    });
+
+    it('archives a task whose project was deleted meanwhile', async function () {
+        const task = await makeTask({ project: projectId, assignedUser: alice._id.toString() });
+        await api.delete(`/api/tasks/${task._id}`).set(admin).expect(204);
+        await api.delete(`/api/projects/${projectId}`).set(admin).expect(204);
+
+        const restored = await restore(task);
+        assert.strictEqual(restored.archived, true);
+        assert.deepStrictEqual(await pendingOf(alice), []);
+    });
+
+    it('unassigns a task whose assignee left its project meanwhile', async function () {
+        const task = await makeTask({ project: projectId, assignedUser: alice._id.toString() });
+        await api.delete(`/api/tasks/${task._id}`).set(admin).expect(204);
+        await Project.updateOne({ _id: projectId }, { $pull: { members: alice._id.toString() } });
+
+        const restored = await restore(task);
+        assert.strictEqual(restored.assignedUser, '');
+        assert.strictEqual(restored.assignedUserName, 'unassigned');
+        assert.deepStrictEqual(await pendingOf(alice), []);
+    });
+
+    it('drops a parent and blockers that were purged meanwhile', async function () {
+        const parent = await makeTask({ name: 'Parent' });
+        const blocker = await makeTask({ name: 'Blocker' });
+        const task = await makeTask({ parent: parent._id, blockedBy: [blocker._id] });
+        await api.delete(`/api/tasks/${task._id}`).set(admin).expect(204);
+        await api.delete(`/api/tasks/${parent._id}`).query({ permanent: true }).set(admin).expect(204);
+        await api.delete(`/api/tasks/${blocker._id}`).query({ permanent: true }).set(admin).expect(204);
+
+        const restored = await restore(task);
+        assert.strictEqual(restored.parent, '');
+        assert.deepStrictEqual(restored.blockedBy, []);
+    });
+
+    it('drops a parent that would now form a cycle', async function () {
+        const top = await makeTask({ name: 'Top' });
+        const task = await makeTask({ name: 'Middle', parent: top._id });
+        const child = await makeTask({ name: 'Child', parent: task._id });
+        await api.delete(`/api/tasks/${task._id}`).set(admin).expect(204);
+        // With the middle task in the trash, nothing stops this.
+        await api.patch(`/api/tasks/${top._id}`).set(admin).send({ parent: child._id }).expect(200);
+
+        const restored = await restore(task);
+        assert.strictEqual(restored.parent, '');
+    });
+
+    it('keeps a parent and blockers that are still there', async function () {
+        const parent = await makeTask({ name: 'Parent' });
+        const blocker = await makeTask({ name: 'Blocker' });
+        const task = await makeTask({ parent: parent._id, blockedBy: [blocker._id], assignedUser: alice._id.toString() });
+        await api.delete(`/api/tasks/${task._id}`).set(admin).expect(204);
+
+        const restored = await restore(task);
+        assert.strictEqual(restored.parent, parent._id);
+        assert.deepStrictEqual(restored.blockedBy, [blocker._id]);
+        assert.deepStrictEqual(await pendingOf(alice), [task._id]);
+    });
+});
@@ -0,0 +1,95 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhooks = require('../utils/webhooks');
+const { useDatabase } = require('./helpers/db');
+const { api, admin, makeTask } = require('./helpers/api');
+const { waitFor } = require('./helpers/wait');
+
+const SECRET = 'receiver-secret';
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS);
+
+// A local receiver that answers with the next status in `statuses` (the last
+// one once they run out) and records every request it gets.
+function startReceiver(statuses) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ at: Date.now(), headers: req.headers, body });
+            res.statusCode = statuses[Math.min(received.length, statuses.length) - 1];
+            res.end();
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        resolve({ server, received, url: `http://127.0.0.1:${server.address().port}/hook` });
+    }));
+}
+
+describe('webhooks', function () {
+    useDatabase();
+
+    let receiver;
+
+    before(function () { webhooks.start(); });
+    after(function () { webhooks.stop(); });
+    afterEach(function (done) {
+        if (receiver) receiver.server.close(done);
+        else done();
+        receiver = null;
+    });
+
+    async function subscribe(statuses) {
+        receiver = await startReceiver(statuses);
+        const res = await api.post('/api/webhooks').set(admin)
+            .send({ url: receiver.url, events: ['task.created'], secret: SECRET })
+            .expect(201);
+        return res.body.data;
+    }
+
+    it('signs the timestamp and body with the webhook secret', async function () {
+        const hook = await subscribe([204]);
+        const task = await makeTask({ name: 'Signed' });
+
+        const [request] = await waitFor(() => receiver.received.length && receiver.received);
+        const timestamp = request.headers['x-webhook-timestamp'];
+        const expected = 'sha256=' + crypto.createHmac('sha256', SECRET).update(`${timestamp}.${request.body}`).digest('hex');
+        assert.strictEqual(request.headers['x-webhook-signature'], expected);
+        assert.strictEqual(request.headers['x-webhook-id'], hook._id);
+        assert.strictEqual(request.headers['x-webhook-event'], 'task.created');
+
+        const payload = JSON.parse(request.body);
+        assert.strictEqual(payload.type, 'task.created');
+        assert.strictEqual(payload.resourceId, task._id);
+    });
+
+    it('retries failed deliveries with exponential backoff', async function () {
+        const hook = await subscribe([500, 503, 200]);
+        await makeTask();
+
+        const delivery = await waitFor(() => WebhookDelivery.findOne({ webhook: hook._id, status: 'succeeded' }));
+        assert.deepStrictEqual(delivery.attempts.map(a => a.statusCode), [500, 503, 200]);
+        assert.deepStrictEqual(delivery.attempts.map(a => a.error), ['HTTP 500', 'HTTP 503', null]);
+
+        const times = receiver.received.map(r => r.at);
+        assert.strictEqual(times.length, 3);
+        assert.ok(times[1] - times[0] >= RETRY_BASE_MS, 'first retry waits the base delay');
+        assert.ok(times[2] - times[1] >= 2 * RETRY_BASE_MS, 'second retry waits twice as long');
+    });
+
+    it('gives up after WEBHOOK_MAX_ATTEMPTS and keeps the delivery', async function () {
+        const hook = await subscribe([500]);
+        await makeTask();
+
+        const delivery = await waitFor(() => WebhookDelivery.findOne({ webhook: hook._id, status: 'failed' }));
+        assert.strictEqual(delivery.attempts.length, Number(process.env.WEBHOOK_MAX_ATTEMPTS));
+        assert.strictEqual(delivery.event, 'task.created');
+
+        const listed = await api.get(`/api/webhooks/${hook._id}/deliveries`).set(admin).expect(200);
+        assert.strictEqual(listed.body.data.length, 1);
+        assert.strictEqual(listed.body.data[0].status, 'failed');
+    });
+});
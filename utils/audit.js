@@ -0,0 +1,128 @@
+const AuditEntry = require('../models/AuditEntry');
+const { ApiError, sendApiError } = require('./errors');
+const { paginate, setPaginationHeaders } = require('./pagination');
+const { parseListQuery, isQueryTimeout, QUERY_MAX_TIME_MS } = require('./query');
+const { afterCommit } = require('./transaction');
+const { toEvent, publish } = require('./events');
+
+// Field-level change log for users and tasks. Handlers call recordChange for
+// documents they save themselves and updateAudited in place of
+// Model.updateOne/updateMany for the cascading writes, so every change made
+// through the routers lands in the log, inside the same transaction.
+
+const IGNORED_FIELDS = ['_id', '__v'];
+const REDACTED_FIELDS = ['passwordHash'];
+
+function actorFrom(req) {
+    if (!req || !req.auth) return { kind: 'anonymous', id: null, role: null };
+    return {
+        kind: req.auth.type,
+        id: req.auth.userId || req.auth.keyId,
+        role: req.auth.role
+    };
+}
+
+// Plain JSON copy of a document (or null), so dates and ids compare as strings.
+function snapshot(doc) {
+    if (!doc) return null;
+    const obj = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+    return JSON.parse(JSON.stringify(obj));
+}
+
+function redact(field, value) {
+    if (!REDACTED_FIELDS.includes(field) || value == null) return value === undefined ? null : value;
+    return '[redacted]';
+}
+
+function withoutRedacted(doc) {
+    if (!doc) return null;
+    const copy = Object.assign({}, doc);
+    REDACTED_FIELDS.forEach(field => delete copy[field]);
+    return copy;
+}
+
+function diff(before, after) {
+    const fields = new Set(Object.keys(before || {}).concat(Object.keys(after || {})));
+    const changes = [];
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) continue;
+        const b = before ? before[field] : undefined;
+        const a = after ? after[field] : undefined;
+        if (JSON.stringify(b) !== JSON.stringify(a)) {
+            changes.push({ field, before: redact(field, b), after: redact(field, a) });
+        }
+    }
+    return changes;
+}
+
+// `before`/`after` are snapshots (see snapshot()); pass null for before on
+// create and for after on delete. Updates that change nothing are not logged.
+// Once the transaction commits, the change is published on the event bus.
+async function recordChange(session, req, Model, before, after) {
+    const action = !before ? 'create' : (!after ? 'delete' : 'update');
+    const changes = diff(before, after);
+    if (action === 'update' && !changes.length) return null;
+
+    const entry = new AuditEntry({
+        entityType: Model.modelName,
+        entityId: String((after || before)._id),
+        action,
+        actor: actorFrom(req),
+        changes,
+        previous: withoutRedacted(before)
+    });
+    await entry.save({ session });
+    afterCommit(session, () => publish(toEvent(entry, before, after)));
+    return entry;
+}
+
+// Runs an update against every document matching `filter` (just the first
+// one when `many` is false) and logs the before/after of each.
+async function updateAudited(session, req, Model, filter, update, { many = false } = {}) {
+    let q = Model.find(filter).session(session).lean();
+    if (!many) q = q.limit(1);
+    const before = await q;
+    if (!before.length) return;
+
+    // Keep the filter's deletedAt, if any, so the soft-delete hook (see
+    // models/plugins/softDelete.js) lets the same trashed documents through.
+    const byId = { _id: { $in: before.map(d => d._id) } };
+    if (Object.prototype.hasOwnProperty.call(filter, 'deletedAt')) byId.deletedAt = filter.deletedAt;
+    await Model.updateMany(byId, update, { session });
+    const after = await Model.find(byId).session(session).lean();
+    const afterById = new Map(after.map(d => [String(d._id), d]));
+
+    for (const doc of before) {
+        await recordChange(session, req, Model, snapshot(doc), snapshot(afterById.get(String(doc._id))));
+    }
+}
+
+// Lists audit entries matching `filter` (on top of the client's where),
+// oldest first unless the client sorts otherwise.
+async function sendAuditPage(req, res, filter, defaultSort) {
+    try {
+        const query = parseListQuery(AuditEntry, req.query);
+        const where = Object.keys(query.where).length ? { $and: [query.where, filter] } : filter;
+        const sort = Object.keys(query.sort).length ? query.sort : defaultSort;
+
+        const page = await paginate(AuditEntry, {
+            where, sort, select: query.select, skip: query.skip, limit: query.limit,
+            cursor: query.cursor, maxTimeMS: QUERY_MAX_TIME_MS
+        });
+        const pagination = setPaginationHeaders(req, res, page, { skip: query.skip, limit: query.limit });
+        return res.status(200).json({ message: 'OK', data: page.docs, pagination });
+    } catch (err) {
+        if (err instanceof ApiError) return sendApiError(res, err);
+        if (isQueryTimeout(err)) {
+            return res.status(400).json({ message: 'Bad Request: where matched too broadly and exceeded the query time limit', data: null });
+        }
+        return res.status(500).json({ message: 'Server Error while fetching audit entries', data: null });
+    }
+}
+
+// GET /api/<resource>/:id/history for the given model.
+function historyHandler(Model) {
+    return (req, res) => sendAuditPage(req, res, { entityType: Model.modelName, entityId: req.params.id }, { timestamp: 1 });
+}
+
+module.exports = { actorFrom, snapshot, diff, recordChange, updateAudited, sendAuditPage, historyHandler };
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const PASSWORD_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+
+function tokenSecret() {
+    const secret = process.env.AUTH_SECRET;
+    if (!secret) throw new Error('AUTH_SECRET is not set');
+    return secret;
+}
+
+function hashPassword(password) {
+    return bcrypt.hash(password, PASSWORD_ROUNDS);
+}
+
+function verifyPassword(password, hash) {
+    if (!hash) return Promise.resolve(false);
+    return bcrypt.compare(password, hash);
+}
+
+function signToken(user) {
+    return jwt.sign(
+        { sub: user._id.toString(), role: user.role },
+        tokenSecret(),
+        { expiresIn: process.env.AUTH_TOKEN_TTL || '1h' }
+    );
+}
+
+// Throws (JsonWebTokenError/TokenExpiredError) when the token is not valid.
+function verifyToken(token) {
+    return jwt.verify(token, tokenSecret());
+}
+
+function generateApiKey() {
+    return 'mp3_' + crypto.randomBytes(24).toString('hex');
+}
+
+// Secret part of a calendar subscription URL; stored hashed like API keys.
+function generateFeedToken() {
+    return 'cal_' + crypto.randomBytes(24).toString('hex');
+}
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function safeEqual(a, b) {
+    const ba = Buffer.from(String(a));
+    const bb = Buffer.from(String(b));
+    return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    hashPassword,
+    verifyPassword,
+    signToken,
+    verifyToken,
+    generateApiKey,
+    generateFeedToken,
+    hashApiKey,
+    safeEqual
+};
@@ -0,0 +1,140 @@
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const { ApiError } = require('./errors');
+const { isValidObjectId } = require('./query');
+
+// Plans how POST /api/tasks/auto-assign spreads unassigned tasks over users.
+// Tasks are handed out soonest deadline first, and a task filed under a
+// project only goes to members of that project. Strategies:
+//   - fewest-pending: to whoever has the fewest pendingTasks at that point
+//   - round-robin: to each candidate in turn (ordered by _id)
+//   - deadline-weighted: to whoever has the lightest load, where a pending
+//     task due in d days weighs 1 + 7 / max(d, 1), so urgent work counts more
+
+const STRATEGIES = ['fewest-pending', 'round-robin', 'deadline-weighted'];
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function deadlineWeight(deadline, now) {
+    const days = (new Date(deadline).getTime() - now.getTime()) / DAY_MS;
+    return 1 + 7 / Math.max(days, 1);
+}
+
+function idList(value, field) {
+    if (value === undefined) return undefined;
+    if (!Array.isArray(value) || !value.every(id => isValidObjectId(String(id)))) {
+        throw new ApiError(400, `Bad Request: ${field} must be an array of ids`);
+    }
+    return [...new Set(value.map(String))];
+}
+
+// Reads { strategy, tasks, users, project, limit } from the request body.
+function parseOptions(body) {
+    const strategy = body.strategy === undefined ? 'fewest-pending' : body.strategy;
+    if (!STRATEGIES.includes(strategy)) {
+        throw new ApiError(400, `Bad Request: strategy must be one of ${STRATEGIES.join(', ')}`);
+    }
+    const limit = body.limit === undefined ? DEFAULT_LIMIT : Number(body.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new ApiError(400, `Bad Request: limit must be a whole number from 1 to ${MAX_LIMIT}`);
+    }
+    const project = body.project === undefined ? undefined : String(body.project);
+    if (project !== undefined && !isValidObjectId(project)) throw new ApiError(400, 'Bad Request: project is not a valid id');
+
+    return { strategy, limit, project, tasks: idList(body.tasks, 'tasks'), users: idList(body.users, 'users') };
+}
+
+// Returns { assignments: [{ task, taskName, deadline, user, userName }],
+// skipped: [{ task, reason }], load: [{ user, name, before, after }] }.
+// Nothing is written.
+async function planAssignments(session, options, now = new Date()) {
+    const taskFilter = { assignedUser: '', completed: false, archived: { $ne: true } };
+    if (options.tasks) taskFilter._id = { $in: options.tasks };
+    if (options.project) taskFilter.project = options.project;
+    const tasks = await Task.find(taskFilter).sort({ deadline: 1, _id: 1 }).limit(options.limit).session(session).lean();
+
+    const userFilter = options.users ? { _id: { $in: options.users } } : {};
+    const users = await User.find(userFilter).select({ name: 1, pendingTasks: 1 }).sort({ _id: 1 }).session(session).lean();
+    if (options.users && users.length !== options.users.length) {
+        throw new ApiError(400, 'Bad Request: users contains a user that does not exist');
+    }
+
+    const skipped = [];
+    if (options.tasks) {
+        const found = new Set(tasks.map(t => t._id.toString()));
+        options.tasks.filter(id => !found.has(id))
+            .forEach(id => skipped.push({ task: id, reason: 'not an open, unassigned task' }));
+    }
+
+    const projectIds = [...new Set(tasks.map(t => t.project).filter(Boolean))];
+    const projects = await Project.find({ _id: { $in: projectIds } }).select({ members: 1 }).session(session).lean();
+    const membersOf = new Map(projects.map(p => [p._id.toString(), new Set(p.members)]));
+
+    const load = new Map(users.map(u => [u._id.toString(), 0]));
+    if (options.strategy === 'deadline-weighted') {
+        const pending = await Task.find({
+            assignedUser: { $in: [...load.keys()] }, completed: false, archived: { $ne: true }
+        }).select({ assignedUser: 1, deadline: 1 }).session(session).lean();
+        pending.forEach(t => load.set(t.assignedUser, load.get(t.assignedUser) + deadlineWeight(t.deadline, now)));
+    } else {
+        users.forEach(u => load.set(u._id.toString(), u.pendingTasks.length));
+    }
+    const before = new Map(load);
+
+    const assignments = [];
+    let turn = 0;
+    for (const task of tasks) {
+        // Saving the assignment would fail for a task whose project is gone
+        // and abort every other one with it, so it is left for an admin.
+        if (task.project && !membersOf.has(task.project)) {
+            skipped.push({ task: task._id.toString(), reason: 'its project no longer exists' });
+            continue;
+        }
+        const members = task.project ? membersOf.get(task.project) : null;
+        const eligible = users.filter(u => !members || members.has(u._id.toString()));
+        if (!eligible.length) {
+            skipped.push({ task: task._id.toString(), reason: task.project ? 'no candidate is a member of its project' : 'no candidates' });
+            continue;
+        }
+
+        let chosen;
+        if (options.strategy === 'round-robin') {
+            for (let i = 0; i < users.length; i++) {
+                const u = users[(turn + i) % users.length];
+                if (eligible.includes(u)) {
+                    chosen = u;
+                    turn = (turn + i + 1) % users.length;
+                    break;
+                }
+            }
+        } else {
+            chosen = eligible.reduce((best, u) => (load.get(u._id.toString()) < load.get(best._id.toString()) ? u : best));
+        }
+
+        const userId = chosen._id.toString();
+        load.set(userId, load.get(userId) + (options.strategy === 'deadline-weighted' ? deadlineWeight(task.deadline, now) : 1));
+        assignments.push({
+            task: task._id.toString(),
+            taskName: task.name,
+            deadline: task.deadline,
+            user: userId,
+            userName: chosen.name
+        });
+    }
+
+    const round = n => Math.round(n * 100) / 100;
+    return {
+        assignments,
+        skipped,
+        load: users.map(u => ({
+            user: u._id.toString(),
+            name: u.name,
+            before: round(before.get(u._id.toString())),
+            after: round(load.get(u._id.toString()))
+        }))
+    };
+}
+
+module.exports = { STRATEGIES, parseOptions, planAssignments };
@@ -0,0 +1,152 @@
+const { ApiError } = require('./errors');
+const { withTransaction } = require('./transaction');
+const { etagFor } = require('./etag');
+
+// POST /api/<resource>/batch: a list of operations, each run through the same
+// function as the single-item route, with a result per operation. The body is
+//   { atomic: false, operations: [{ op, id, body, ifMatch, permanent }] }
+// where `op` is create, update (PUT), patch (merge patch, or JSON Patch when
+// `body` is an array) or delete, and `ifMatch` stands in for If-Match.
+// Normally every operation commits on its own; with `atomic: true` they share
+// one transaction and the first failure rolls all of them back.
+
+const MAX_OPERATIONS = 100;
+const OPS = ['create', 'update', 'patch', 'delete'];
+const SUCCESS = { create: 201, update: 200, patch: 200, delete: 204 };
+
+function isObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function parseBatch(body) {
+    if (!isObject(body) || !Array.isArray(body.operations)) {
+        throw new ApiError(400, 'Bad Request: operations must be an array');
+    }
+    const { operations } = body;
+    if (!operations.length || operations.length > MAX_OPERATIONS) {
+        throw new ApiError(400, `Bad Request: operations must hold 1 to ${MAX_OPERATIONS} items`);
+    }
+    if (body.atomic !== undefined && typeof body.atomic !== 'boolean') {
+        throw new ApiError(400, 'Bad Request: atomic must be true or false');
+    }
+
+    operations.forEach((operation, i) => {
+        const where = `operation ${i}`;
+        if (!isObject(operation) || !OPS.includes(operation.op)) {
+            throw new ApiError(400, `Bad Request: ${where} needs an op of ${OPS.join(', ')}`);
+        }
+        if (operation.op !== 'create' && typeof operation.id !== 'string') {
+            throw new ApiError(400, `Bad Request: ${where} (${operation.op}) needs an id`);
+        }
+        if (operation.op !== 'delete' && !isObject(operation.body) && !(operation.op === 'patch' && Array.isArray(operation.body))) {
+            throw new ApiError(400, `Bad Request: ${where} (${operation.op}) needs a body`);
+        }
+        if (operation.ifMatch !== undefined && typeof operation.ifMatch !== 'string') {
+            throw new ApiError(400, `Bad Request: ${where} ifMatch must be a string`);
+        }
+    });
+
+    return { atomic: body.atomic === true, operations };
+}
+
+// What the single-item handler would have seen for this operation: its own
+// id, body, If-Match and ?permanent=, with everything else (the caller's
+// credentials in particular) from the batch request.
+function itemRequest(req, operation) {
+    const item = Object.create(req);
+    item.params = { id: operation.id };
+    item.body = operation.body === undefined ? {} : operation.body;
+    item.query = operation.permanent === true ? { permanent: 'true' } : {};
+    item.get = item.header = (name) => (String(name).toLowerCase() === 'if-match' ? operation.ifMatch : req.get(name));
+    item.is = () => false;
+    return item;
+}
+
+function success(index, operation, doc) {
+    return {
+        index,
+        op: operation.op,
+        id: doc ? String(doc._id) : operation.id,
+        status: SUCCESS[operation.op],
+        etag: doc ? etagFor(doc) : null,
+        data: doc || null
+    };
+}
+
+function failure(index, operation, err, what) {
+    const result = { index, op: operation.op, id: operation.id || null };
+    if (err instanceof ApiError) return Object.assign(result, { status: err.status, message: err.message, data: err.data });
+    if (err.name === 'CastError') return Object.assign(result, { status: 400, message: `Bad Request: invalid ${what} id`, data: null });
+    return Object.assign(result, { status: 500, message: `Server Error while processing ${what}`, data: null });
+}
+
+// Thrown out of the shared transaction to abort it and carry the failing
+// operation's result.
+class BatchAborted extends Error {
+    constructor(result) {
+        super(result.message);
+        this.result = result;
+    }
+}
+
+// Runs the operations with `handlers[op](itemReq, session)`, which returns
+// the saved document (or nothing for a delete). Resolves to
+// { status, message, data: { atomic, succeeded, failed, results } }.
+async function runBatch(req, { atomic, operations }, handlers, what) {
+    if (!atomic) {
+        const results = [];
+        for (const [index, operation] of operations.entries()) {
+            try {
+                const doc = await withTransaction(session => handlers[operation.op](itemRequest(req, operation), session));
+                results.push(success(index, operation, doc));
+            } catch (err) {
+                results.push(failure(index, operation, err, what));
+            }
+        }
+        const failed = results.filter(r => r.status >= 400).length;
+        return {
+            status: 200,
+            message: `Batch processed: ${results.length - failed} succeeded, ${failed} failed`,
+            data: { atomic, succeeded: results.length - failed, failed, results }
+        };
+    }
+
+    try {
+        const results = await withTransaction(async (session) => {
+            const results = [];
+            for (const [index, operation] of operations.entries()) {
+                try {
+                    results.push(success(index, operation, await handlers[operation.op](itemRequest(req, operation), session)));
+                } catch (err) {
+                    // Let the driver retry the whole transaction on transient errors.
+                    if (err.hasErrorLabel && err.hasErrorLabel('TransientTransactionError')) throw err;
+                    throw new BatchAborted(failure(index, operation, err, what));
+                }
+            }
+            return results;
+        });
+        return {
+            status: 200,
+            message: `Batch committed: ${results.length} succeeded`,
+            data: { atomic, succeeded: results.length, failed: 0, results }
+        };
+    } catch (err) {
+        if (!(err instanceof BatchAborted)) throw err;
+        const failed = err.result;
+        const results = operations.map((operation, index) => (index === failed.index ? failed : {
+            index,
+            op: operation.op,
+            id: operation.id || null,
+            status: 424,
+            message: `Not applied: operation ${failed.index} failed`,
+            data: null
+        }));
+        return {
+            status: failed.status,
+            message: `Batch rolled back: operation ${failed.index} failed: ${failed.message}`,
+            data: { atomic, succeeded: 0, failed: operations.length, results }
+        };
+    }
+}
+
+module.exports = { MAX_OPERATIONS, parseBatch, runBatch };
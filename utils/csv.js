@@ -0,0 +1,56 @@
+// Minimal RFC 4180 CSV: quoted fields may hold commas, quotes ("") and line
+// breaks; rows end with CRLF or LF.
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function csvRow(values) {
+    return values.map(csvField).join(',') + '\r\n';
+}
+
+// Returns [{ line, values }] with the 1-based line each row starts on. Throws
+// an Error naming the line when a quoted field is never closed.
+function parseCsv(text) {
+    const rows = [];
+    let values = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else {
+                if (ch === '\n') line++;
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            quoted = true;
+        } else if (ch === ',') {
+            values.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            values.push(field);
+            if (values.length > 1 || values[0] !== '') rows.push({ line: rowLine, values });
+            values = [];
+            field = '';
+            line++;
+            rowLine = line;
+        } else {
+            field += ch;
+        }
+    }
+    if (quoted) throw new Error(`unterminated quoted field starting on line ${rowLine}`);
+    values.push(field);
+    if (values.length > 1 || values[0] !== '') rows.push({ line: rowLine, values });
+    return rows;
+}
+
+module.exports = { csvRow, parseCsv };
@@ -0,0 +1,174 @@
+const Task = require('../models/Task');
+const { ApiError } = require('./errors');
+const { isValidObjectId } = require('./query');
+const { updateAudited } = require('./audit');
+
+// Subtasks (Task.parent) and "blocked by" dependencies (Task.blockedBy). Both
+// graphs must stay acyclic: a task may not end up its own ancestor, nor
+// (transitively) blocked by itself. Blockers that were deleted or archived no
+// longer block anything.
+
+const MAX_WALK = 1000;
+const MAX_GRAPH_DEPTH = 10;
+const NODE_FIELDS = {
+    name: 1, deadline: 1, completed: 1, archived: 1, assignedUserName: 1, parent: 1, blockedBy: 1, subtasks: 1
+};
+
+function checkId(id, field) {
+    if (!isValidObjectId(id)) throw new ApiError(400, `Bad Request: ${field} is not a valid task id`);
+}
+
+// Validates a new parent for `task`: it must exist and must not be the task
+// itself or one of its subtasks.
+async function checkParent(session, task, parentId) {
+    if (!parentId) return;
+    checkId(parentId, 'parent');
+    const taskId = task._id.toString();
+    if (parentId === taskId) throw new ApiError(400, 'Bad Request: a task cannot be its own parent');
+
+    let current = parentId;
+    for (let steps = 0; current; steps++) {
+        if (steps > MAX_WALK) throw new ApiError(400, 'Bad Request: parent chain is too deep');
+        const node = await Task.findById(current).select({ parent: 1 }).session(session).lean();
+        if (!node) {
+            if (current === parentId) throw new ApiError(400, 'Bad Request: parent does not exist');
+            break;
+        }
+        if (node.parent === taskId) throw new ApiError(400, 'Bad Request: parent would create a cycle of subtasks');
+        current = node.parent;
+    }
+}
+
+// Validates and returns the de-duplicated blockedBy list for `task`: every
+// blocker must exist, and none may already depend on the task.
+async function checkBlockers(session, task, blockedBy) {
+    if (!Array.isArray(blockedBy)) throw new ApiError(400, 'Bad Request: blockedBy must be an array of task ids');
+    const ids = [...new Set(blockedBy.map(String))];
+    ids.forEach(id => checkId(id, 'blockedBy'));
+
+    const taskId = task._id.toString();
+    if (ids.includes(taskId)) throw new ApiError(400, 'Bad Request: a task cannot be blocked by itself');
+
+    const found = await Task.countDocuments({ _id: { $in: ids } }).session(session);
+    if (found !== ids.length) throw new ApiError(400, 'Bad Request: blockedBy contains a task that does not exist');
+
+    // Walk everything the new blockers are (transitively) blocked by.
+    const seen = new Set(ids);
+    let frontier = ids;
+    while (frontier.length) {
+        const nodes = await Task.find({ _id: { $in: frontier } }).select({ blockedBy: 1 }).session(session).lean();
+        frontier = [];
+        for (const node of nodes) {
+            for (const next of node.blockedBy || []) {
+                if (next === taskId) throw new ApiError(400, 'Bad Request: blockedBy would create a dependency cycle');
+                if (!seen.has(next)) {
+                    seen.add(next);
+                    frontier.push(next);
+                }
+            }
+        }
+        if (seen.size > MAX_WALK) throw new ApiError(400, 'Bad Request: dependency graph is too large');
+    }
+    return ids;
+}
+
+// Ids of the blockers that are still open.
+async function openBlockers(session, blockedBy) {
+    if (!blockedBy || !blockedBy.length) return [];
+    const open = await Task.find({ _id: { $in: blockedBy }, completed: false, archived: { $ne: true } })
+        .select({ _id: 1 }).session(session).lean();
+    return open.map(t => t._id.toString());
+}
+
+// Recounts a parent's subtasks into its `subtasks` field (audited, and only
+// written when the numbers changed).
+async function refreshSubtasks(session, req, parentId) {
+    if (!parentId || !isValidObjectId(parentId)) return;
+    const [total, completed] = await Promise.all([
+        Task.countDocuments({ parent: parentId }).session(session),
+        Task.countDocuments({ parent: parentId, completed: true }).session(session)
+    ]);
+    await updateAudited(
+        session, req, Task,
+        { _id: parentId, $or: [{ 'subtasks.total': { $ne: total } }, { 'subtasks.completed': { $ne: completed } }] },
+        { $set: { subtasks: { total, completed } } }
+    );
+}
+
+// Removes every reference to a deleted task: dependents stop waiting on it,
+// its subtasks become top-level tasks and its parent's counts are updated.
+async function detachTask(session, req, task) {
+    const taskId = task._id.toString();
+    await updateAudited(session, req, Task, { blockedBy: taskId }, { $pull: { blockedBy: taskId } }, { many: true });
+    await updateAudited(session, req, Task, { parent: taskId }, { $set: { parent: '' } }, { many: true });
+    await refreshSubtasks(session, req, task.parent);
+}
+
+function toNode(doc, openIds) {
+    return {
+        _id: doc._id.toString(),
+        name: doc.name,
+        deadline: doc.deadline,
+        completed: doc.completed,
+        archived: Boolean(doc.archived),
+        assignedUserName: doc.assignedUserName,
+        subtaskProgress: doc.subtasks || { total: 0, completed: 0 },
+        blocked: (doc.blockedBy || []).some(id => openIds.has(id))
+    };
+}
+
+// The dependency tree around one task, `depth` levels deep: what it is
+// blocked by (recursively), its subtasks (recursively), and the tasks it
+// directly blocks. A task reached twice is expanded only the first time and
+// marked `repeated` afterwards.
+async function dependencyGraph(taskId, depth) {
+    const levels = Math.min(Math.max(depth, 1), MAX_GRAPH_DEPTH);
+    const docs = new Map();
+    const childrenOf = new Map();
+
+    let frontier = [taskId];
+    for (let level = 0; level <= levels && frontier.length; level++) {
+        const wanted = frontier.filter(id => !docs.has(id));
+        const [found, children] = await Promise.all([
+            Task.find({ _id: { $in: wanted } }).select(NODE_FIELDS).lean(),
+            level < levels ? Task.find({ parent: { $in: frontier } }).select(NODE_FIELDS).lean() : []
+        ]);
+        found.concat(children).forEach(d => docs.set(d._id.toString(), d));
+        children.forEach(c => {
+            if (!childrenOf.has(c.parent)) childrenOf.set(c.parent, []);
+            childrenOf.get(c.parent).push(c._id.toString());
+        });
+
+        frontier = level < levels
+            ? [...new Set([].concat(...found.concat(children).map(d => d.blockedBy || []), children.map(c => c._id.toString())))]
+            : [];
+    }
+
+    const root = docs.get(taskId);
+    if (!root) return null;
+
+    const dependents = await Task.find({ blockedBy: taskId }).select(NODE_FIELDS).lean();
+    const allBlockers = [...new Set([].concat(...[...docs.values()].concat(dependents).map(d => d.blockedBy || [])))];
+    const openIds = new Set(await openBlockers(null, allBlockers));
+    const expanded = new Set();
+
+    function build(id, level) {
+        const doc = docs.get(id);
+        if (!doc) return { _id: id, missing: true };
+        const node = toNode(doc, openIds);
+        if (expanded.has(id)) return Object.assign(node, { repeated: true });
+        expanded.add(id);
+        if (level < levels) {
+            node.blockedBy = (doc.blockedBy || []).map(b => build(b, level + 1));
+            node.subtasks = (childrenOf.get(id) || []).map(c => build(c, level + 1));
+        }
+        return node;
+    }
+
+    const tree = build(taskId, 0);
+    tree.parent = root.parent || '';
+    tree.blocks = dependents.map(d => toNode(d, openIds));
+    return tree;
+}
+
+module.exports = { checkParent, checkBlockers, openBlockers, refreshSubtasks, detachTask, dependencyGraph };
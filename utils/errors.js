@@ -0,0 +1,18 @@
+// Thrown from inside a handler (usually within a transaction) to abort the
+// work and send the given status back in the usual {message, data} envelope.
+class ApiError extends Error {
+    constructor(status, message, data = null, headers = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.data = data;
+        this.headers = headers;
+    }
+}
+
+function sendApiError(res, err) {
+    if (err.headers) res.set(err.headers);
+    return res.status(err.status).json({ message: err.message, data: err.data });
+}
+
+module.exports = { ApiError, sendApiError };
@@ -0,0 +1,44 @@
+const { ApiError } = require('./errors');
+
+// ETags are the document id plus its version (see models/plugins/version.js),
+// so they change on every write that goes through Mongoose.
+function etagFor(doc) {
+    return `"${doc._id}-${doc.__v || 0}"`;
+}
+
+function listMatches(header, etag, weak) {
+    if (!header) return false;
+    return header.split(',').map(t => t.trim()).some(t => {
+        if (t === '*') return true;
+        return weak ? t.replace(/^W\//, '') === etag : t === etag;
+    });
+}
+
+// True when the client's cached copy (If-None-Match) is still current.
+function isNotModified(req, etag) {
+    return listMatches(req.get('If-None-Match'), etag, true);
+}
+
+// Throws 412 with the current document when If-Match names an older version.
+function checkIfMatch(req, doc) {
+    const header = req.get('If-Match');
+    if (header && !listMatches(header, etagFor(doc), false)) {
+        throw new ApiError(412, 'Precondition Failed: the document was changed by someone else', doc, { ETag: etagFor(doc) });
+    }
+}
+
+// Projections that leave out the version still need it for the ETag; this
+// adds it to inclusive projections, and stripVersion removes it again.
+function withVersion(select) {
+    const keys = Object.keys(select).filter(k => k !== '_id');
+    const inclusive = keys.some(k => Number(select[k]) === 1);
+    return inclusive ? Object.assign({}, select, { __v: 1 }) : select;
+}
+
+function stripVersion(doc, select) {
+    const json = doc.toJSON();
+    if (withVersion(select) !== select) delete json.__v;
+    return json;
+}
+
+module.exports = { etagFor, isNotModified, checkIfMatch, withVersion, stripVersion };
@@ -0,0 +1,71 @@
+const { EventEmitter } = require('events');
+
+// In-process bus of committed user/task/project changes. The audit recorder
+// publishes one event per audit entry once its transaction commits; webhooks
+// (and any other listener) subscribe here.
+
+const EVENT_TYPES = [
+    'task.created', 'task.updated', 'task.reassigned', 'task.completed', 'task.deleted', 'task.restored',
+    'user.created', 'user.updated', 'user.deleted', 'user.restored',
+    'project.created', 'project.updated', 'project.deleted'
+];
+
+const HIDDEN_FIELDS = ['passwordHash'];
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+function publicData(doc) {
+    if (!doc) return null;
+    const data = Object.assign({}, doc);
+    HIDDEN_FIELDS.forEach(f => delete data[f]);
+    return data;
+}
+
+// Every type an audit entry stands for, most specific first: a task update
+// that completes and reassigns it is task.completed, task.reassigned and
+// task.updated at once.
+function typesFor(entry) {
+    const resource = entry.entityType.toLowerCase();
+    if (entry.action === 'create') return [`${resource}.created`];
+    if (entry.action === 'delete') return [`${resource}.deleted`];
+
+    const types = [];
+    const changed = new Map(entry.changes.map(c => [c.field, c]));
+    // Moving to and from the trash (see utils/trash.js) is an update to
+    // deletedAt, but subscribers see it as a delete or restore.
+    if (changed.has('deletedAt')) return [`${resource}.${changed.get('deletedAt').after ? 'deleted' : 'restored'}`];
+    if (resource === 'task') {
+        if (changed.has('completed') && changed.get('completed').after === true) types.push('task.completed');
+        if (changed.has('assignedUser')) types.push('task.reassigned');
+    }
+    types.push(`${resource}.updated`);
+    return types;
+}
+
+function toEvent(entry, before, after) {
+    const types = typesFor(entry);
+    return {
+        id: entry._id.toString(),
+        type: types[0],
+        types,
+        resource: entry.entityType.toLowerCase(),
+        resourceId: entry.entityId,
+        actor: entry.actor,
+        changes: entry.changes,
+        data: publicData(after || before),
+        previous: publicData(before),
+        timestamp: entry.timestamp
+    };
+}
+
+function publish(event) {
+    bus.emit('change', event);
+}
+
+function subscribe(listener) {
+    bus.on('change', listener);
+    return () => bus.removeListener('change', listener);
+}
+
+module.exports = { EVENT_TYPES, toEvent, publish, subscribe };
@@ -0,0 +1,95 @@
+// Highlighted snippets for text search results. Matching ignores case and
+// diacritics, like the MongoDB text index does, so "tache" marks "Tâche".
+
+const SNIPPET_RADIUS = 60;
+
+function fold(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' }[c]));
+}
+
+// Search terms from a $text query string: quoted phrases and words, minus the
+// negated ones.
+function searchTerms(q) {
+    const terms = [];
+    const re = /(-?)"([^"]+)"|(-?)(\S+)/g;
+    let m;
+    while ((m = re.exec(q)) !== null) {
+        const negated = m[1] || m[3];
+        const term = fold((m[2] || m[4] || '').trim());
+        if (!negated && term) terms.push(term);
+    }
+    return [...new Set(terms)];
+}
+
+// Folds `text` character by character, remembering where each folded
+// character came from so matches can be mapped back onto the original.
+function foldWithMap(text) {
+    let folded = '';
+    const map = [];
+    for (let i = 0; i < text.length; i++) {
+        const f = fold(text[i]);
+        for (let j = 0; j < f.length; j++) map.push(i);
+        folded += f;
+    }
+    map.push(text.length);
+    return { folded, map };
+}
+
+function findMatches(text, terms) {
+    const { folded, map } = foldWithMap(text);
+    const ranges = [];
+    for (const term of terms) {
+        let from = 0;
+        let at;
+        while ((at = folded.indexOf(term, from)) !== -1) {
+            ranges.push([map[at], map[at + term.length - 1] + 1]);
+            from = at + term.length;
+        }
+    }
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    const merged = [];
+    for (const r of ranges) {
+        const last = merged[merged.length - 1];
+        if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+        else merged.push(r.slice());
+    }
+    return merged;
+}
+
+// HTML-escaped excerpt of `text` around its first match with every match
+// wrapped in <mark>, or null when nothing matches.
+function snippet(text, terms, { whole = false } = {}) {
+    if (typeof text !== 'string' || !text) return null;
+    const matches = findMatches(text, terms);
+    if (!matches.length) return null;
+
+    const start = whole ? 0 : Math.max(0, matches[0][0] - SNIPPET_RADIUS);
+    const end = whole ? text.length : Math.min(text.length, matches[0][1] + SNIPPET_RADIUS * 2);
+
+    let out = start > 0 ? '…' : '';
+    let pos = start;
+    for (const [s, e] of matches) {
+        if (s < start || e > end) continue;
+        out += escapeHtml(text.slice(pos, s)) + '<mark>' + escapeHtml(text.slice(s, e)) + '</mark>';
+        pos = e;
+    }
+    out += escapeHtml(text.slice(pos, end)) + (end < text.length ? '…' : '');
+    return out;
+}
+
+function highlight(doc, q) {
+    const terms = searchTerms(q);
+    const result = {};
+    const name = snippet(doc.name, terms, { whole: true });
+    const description = snippet(doc.description, terms);
+    if (name) result.name = name;
+    if (description) result.description = description;
+    return result;
+}
+
+module.exports = { highlight, searchTerms, snippet };
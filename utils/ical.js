@@ -0,0 +1,81 @@
+// RFC 5545 rendering of task deadlines. Every task becomes a VEVENT at its
+// deadline whose UID is derived from the task id, so calendar clients update
+// the same event when a task changes; SEQUENCE follows the task's __v.
+// VEVENT has no "completed" status, so finished tasks get a "✓ " summary
+// prefix and the COMPLETED category.
+
+const PRODID = '-//mp3//Task deadlines//EN';
+const UID_DOMAIN = 'tasks.mp3';
+const EVENT_MINUTES = 30;
+
+function formatDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Content lines are folded at 75 octets without splitting a UTF-8 character.
+function fold(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const ch of line) {
+        const size = Buffer.byteLength(ch);
+        if (octets + size > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += ch;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function taskEvent(task, stamp) {
+    const deadline = new Date(task.deadline);
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:task-${task._id}@${UID_DOMAIN}`,
+        `DTSTAMP:${formatDate(stamp)}`,
+        `DTSTART:${formatDate(deadline)}`,
+        `DTEND:${formatDate(new Date(deadline.getTime() + EVENT_MINUTES * 60000))}`,
+        `SUMMARY:${escapeText((task.completed ? '✓ ' : '') + task.name)}`
+    ];
+    if (task.description) lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+    if (task.dateCreated) lines.push(`CREATED:${formatDate(task.dateCreated)}`);
+    lines.push(`SEQUENCE:${task.__v || 0}`);
+    if (task.completed) lines.push('CATEGORIES:COMPLETED');
+    if (task.assignedUserName) lines.push(`X-ASSIGNED-USER:${escapeText(task.assignedUserName)}`);
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    return lines;
+}
+
+function renderCalendar(tasks, { name = 'Tasks', now = new Date() } = {}) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+    tasks.forEach(task => lines.push(...taskEvent(task, now)));
+    lines.push('END:VCALENDAR');
+    return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+function sendCalendar(res, tasks, name) {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="tasks.ics"');
+    return res.status(200).send(renderCalendar(tasks, { name }));
+}
+
+module.exports = { renderCalendar, sendCalendar };
@@ -0,0 +1,110 @@
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { updateAudited } = require('./audit');
+
+const CATEGORIES = [
+    'danglingPendingTask',
+    'pendingTaskAssignedElsewhere',
+    'completedTaskPending',
+    'archivedTaskPending',
+    'duplicatePendingTask',
+    'missingPendingTask',
+    'unknownAssignedUser',
+    'staleAssignedUserName'
+];
+
+// Walks every user and task and reports each way the two-way reference
+// between User.pendingTasks and Task.assignedUser/assignedUserName has drifted.
+// Task.assignedUser is treated as the source of truth, so alongside the report
+// this returns the writes that would bring everything back in line.
+async function auditIntegrity(session = null) {
+    const users = await User.find({}, { name: 1, pendingTasks: 1 }).session(session).lean();
+    const tasks = await Task.find({}, { completed: 1, archived: 1, assignedUser: 1, assignedUserName: 1 }).session(session).lean();
+
+    const issues = {};
+    CATEGORIES.forEach(c => { issues[c] = []; });
+
+    const usersById = new Map(users.map(u => [u._id.toString(), u]));
+    const tasksById = new Map(tasks.map(t => [t._id.toString(), t]));
+    const expectedPending = new Map(users.map(u => [u._id.toString(), []]));
+    const taskFixes = [];
+
+    for (const t of tasks) {
+        const taskId = t._id.toString();
+        const ownerId = t.assignedUser ? String(t.assignedUser) : '';
+        const owner = ownerId ? usersById.get(ownerId) : null;
+
+        if (ownerId && !owner) {
+            issues.unknownAssignedUser.push({ task: taskId, assignedUser: ownerId });
+            taskFixes.push({ task: taskId, set: { assignedUser: '', assignedUserName: 'unassigned' } });
+            continue;
+        }
+
+        const expectedName = owner ? owner.name : 'unassigned';
+        if (t.assignedUserName !== expectedName) {
+            issues.staleAssignedUserName.push({ task: taskId, assignedUserName: t.assignedUserName, expected: expectedName });
+            taskFixes.push({ task: taskId, set: { assignedUserName: expectedName } });
+        }
+
+        if (owner && !t.completed && !t.archived) {
+            expectedPending.get(ownerId).push(taskId);
+            if (!owner.pendingTasks.map(String).includes(taskId)) {
+                issues.missingPendingTask.push({ user: ownerId, task: taskId });
+            }
+        }
+    }
+
+    for (const u of users) {
+        const userId = u._id.toString();
+        const seen = new Set();
+        for (const id of u.pendingTasks.map(String)) {
+            if (seen.has(id)) {
+                issues.duplicatePendingTask.push({ user: userId, task: id });
+                continue;
+            }
+            seen.add(id);
+
+            const t = tasksById.get(id);
+            if (!t) {
+                issues.danglingPendingTask.push({ user: userId, task: id });
+            } else if (String(t.assignedUser || '') !== userId) {
+                issues.pendingTaskAssignedElsewhere.push({ user: userId, task: id, assignedUser: t.assignedUser || '' });
+            } else if (t.completed) {
+                issues.completedTaskPending.push({ user: userId, task: id });
+            } else if (t.archived) {
+                issues.archivedTaskPending.push({ user: userId, task: id });
+            }
+        }
+    }
+
+    const userFixes = [];
+    for (const u of users) {
+        const userId = u._id.toString();
+        const current = u.pendingTasks.map(String);
+        const expected = expectedPending.get(userId);
+        const same = current.length === expected.length && expected.every(id => current.includes(id));
+        if (!same) userFixes.push({ user: userId, set: { pendingTasks: expected } });
+    }
+
+    const summary = {};
+    CATEGORIES.forEach(c => { summary[c] = issues[c].length; });
+
+    return { summary, issues, fixes: { tasks: taskFixes, users: userFixes } };
+}
+
+// Writes the fixes from auditIntegrity through updateAudited, so repaired
+// documents show up in their history and go out as change events.
+async function applyFixes(session, req, fixes) {
+    const taskSets = new Map();
+    for (const f of fixes.tasks) {
+        taskSets.set(f.task, Object.assign(taskSets.get(f.task) || {}, f.set));
+    }
+    for (const [id, set] of taskSets) {
+        await updateAudited(session, req, Task, { _id: id }, { $set: set });
+    }
+    for (const f of fixes.users) {
+        await updateAudited(session, req, User, { _id: f.user }, { $set: f.set });
+    }
+}
+
+module.exports = { CATEGORIES, auditIntegrity, applyFixes };
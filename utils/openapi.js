@@ -0,0 +1,694 @@
+const { EVENT_TYPES } = require('./events');
+const { MAX_LIMIT } = require('./query');
+const { STRATEGIES } = require('./autoAssign');
+const { MAX_OPERATIONS } = require('./batch');
+const { MIN_PASSWORD_LENGTH } = require('./auth');
+
+// The OpenAPI 3.1 description of every route under routes/, served at
+// /api/openapi.json. middleware/validate.js checks requests (and, with
+// OPENAPI_RESPONSE_VALIDATION=strict, responses) against it, so a route's
+// parameters, body and response shape are defined here once. Resource bodies accept fields the
+// API ignores, so a document fetched with GET can be sent back with PUT.
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = schema => ({ anyOf: [schema, { type: 'null' }] });
+const arrayOf = items => ({ type: 'array', items });
+const id = ref('ObjectId');
+const date = ref('Date');
+const text = { type: 'string' };
+const flag = { type: 'boolean' };
+const flagInput = ref('BooleanInput');
+
+function envelope(data) {
+    const properties = { message: text };
+    if (data) properties.data = data;
+    return { type: 'object', required: ['message'], properties };
+}
+
+function json(description, schema) {
+    return { description, content: { 'application/json': { schema } } };
+}
+
+function ok(description, data) {
+    return json(description, envelope(data));
+}
+
+function listOf(item) {
+    const schema = envelope({ anyOf: [arrayOf(item), { type: 'integer', minimum: 0 }] });
+    schema.properties.pagination = ref('Pagination');
+    return json('A page of results, or the total with count=true', schema);
+}
+
+const noContent = { description: 'Done; the response has no body' };
+
+const USER_PROPERTIES = {
+    _id: id,
+    name: text,
+    email: text,
+    role: { enum: ['user', 'admin'] },
+    pendingTasks: arrayOf(text),
+    dateCreated: date,
+    deletedAt: nullable(date),
+    __v: { type: 'integer' }
+};
+
+// ---- parameters ----
+
+function param(name, where, schema, description, required = where === 'path') {
+    const p = { name, in: where, required, schema };
+    if (description) p.description = description;
+    return p;
+}
+
+const pathId = what => param('id', 'path', id, `The ${what} id`);
+const jsonQuery = (name, description) => param(name, 'query', { type: 'string', format: 'json' }, description);
+const integerQuery = (name, min, max, description) => param(name, 'query', { type: 'integer', minimum: min, maximum: max }, description);
+const boolQuery = (name, description) => param(name, 'query', flag, description);
+const ifMatch = param('If-Match', 'header', text, 'Only apply the change if the ETag still matches (412 otherwise)');
+const ifNoneMatch = param('If-None-Match', 'header', text, 'Answer 304 if the ETag still matches');
+
+const selectParams = [
+    jsonQuery('select', 'Fields to include (1) or exclude (0), e.g. {"name": 1}'),
+    jsonQuery('filter', 'Older name for select')
+];
+
+const listParams = [
+    jsonQuery('where', 'MongoDB-style filter on the allowed fields, e.g. {"completed": false}'),
+    jsonQuery('sort', 'Sort order, e.g. {"deadline": 1}'),
+    ...selectParams,
+    integerQuery('skip', 0, undefined, 'Results to skip'),
+    integerQuery('limit', 1, MAX_LIMIT, 'Results per page'),
+    boolQuery('count', 'Return the number of matches instead of the results'),
+    param('cursor', 'query', text, 'Cursor from the pagination of a previous page')
+];
+
+const scopeParams = [
+    param('user', 'query', { anyOf: [id, { const: '' }] }, 'Only this assignee\'s tasks (empty for unassigned)'),
+    param('project', 'query', id, 'Only this project\'s tasks'),
+    param('from', 'query', { type: 'string', format: 'date' }, 'Start of the period (default: 30 days before to)'),
+    param('to', 'query', { type: 'string', format: 'date' }, 'End of the period (default: now)'),
+    param('interval', 'query', { enum: ['day', 'week'] }, 'Bucket size (default day)')
+];
+
+const permanentParam = boolQuery('permanent', 'Admins only: delete for good instead of moving to the trash');
+
+// ---- operations ----
+
+const SECURITY = {
+    none: [],
+    user: [{ bearerAuth: [] }, { apiKey: [] }]
+};
+
+// `access` is none, user or admin (admin routes need an admin token or key).
+function op(tag, summary, { access = 'user', params = [], body, bodyType = 'application/json', responses, description } = {}) {
+    const operation = { tags: [tag], summary, security: SECURITY[access === 'admin' ? 'user' : access] };
+    if (description || access === 'admin') operation.description = [access === 'admin' ? 'Admins only.' : '', description || ''].join(' ').trim();
+    if (params.length) operation.parameters = params;
+    if (body) {
+        const content = {};
+        [].concat(bodyType).forEach(type => { content[type] = { schema: body }; });
+        operation.requestBody = { required: true, content };
+    }
+    operation.responses = Object.assign({}, responses, { default: { $ref: '#/components/responses/Error' } });
+    if (access !== 'none') operation.responses['401'] = { $ref: '#/components/responses/Error' };
+    return operation;
+}
+
+function resourceOps(tag, what, { item, input, access = {} }) {
+    const name = what[0].toUpperCase() + what.slice(1);
+    return {
+        collection: {
+            get: op(tag, `List ${what}s`, { params: listParams, responses: { 200: listOf(item) } }),
+            post: op(tag, `Create a ${what}`, { access: access.create, body: input, responses: { 201: ok(`${name} created`, item) } })
+        },
+        item: {
+            get: op(tag, `Get a ${what}`, {
+                params: [pathId(what), ...selectParams, ifNoneMatch],
+                responses: { 200: ok(name, item), 304: { description: 'Not modified' } }
+            }),
+            put: op(tag, `Replace a ${what}`, { params: [pathId(what), ifMatch], body: input, responses: { 200: ok(`${name} updated`, item) } }),
+            patch: op(tag, `Update part of a ${what}`, {
+                params: [pathId(what), ifMatch],
+                body: ref('Patch'),
+                bodyType: ['application/merge-patch+json', 'application/json-patch+json', 'application/json'],
+                responses: { 200: ok(`${name} updated`, item) },
+                description: 'A JSON Merge Patch (RFC 7396), or a JSON Patch (RFC 6902) when the body is an array.'
+            }),
+            delete: op(tag, `Delete a ${what}`, {
+                access: access.delete,
+                params: [pathId(what), ifMatch].concat(access.permanent ? [permanentParam] : []),
+                responses: { 204: noContent }
+            })
+        },
+        history: {
+            get: op(tag, `Audit history of a ${what}`, {
+                params: [pathId(what), ...listParams],
+                responses: { 200: listOf(ref('AuditEntry')) }
+            })
+        }
+    };
+}
+
+function batchOp(tag, what, input) {
+    return op(tag, `Create, update and delete many ${what}s`, {
+        body: {
+            type: 'object',
+            required: ['operations'],
+            properties: {
+                atomic: flag,
+                operations: {
+                    type: 'array',
+                    minItems: 1,
+                    maxItems: MAX_OPERATIONS,
+                    items: {
+                        type: 'object',
+                        required: ['op'],
+                        additionalProperties: false,
+                        properties: {
+                            op: { enum: ['create', 'update', 'patch', 'delete'] },
+                            id,
+                            body: { anyOf: [input, ref('Patch')] },
+                            ifMatch: text,
+                            permanent: flag
+                        }
+                    }
+                }
+            }
+        },
+        responses: { 200: json('A result per operation', ref('BatchResponse')) },
+        description: 'Each operation is handled like the single-item route. With atomic=true a failure rolls everything back '
+            + 'and the response takes the failing operation\'s status.'
+    });
+}
+
+const tasks = resourceOps('Tasks', 'task', { item: ref('Task'), input: ref('TaskInput'), access: { permanent: true } });
+const users = resourceOps('Users', 'user', { item: ref('User'), input: ref('UserInput'), access: { create: 'admin', delete: 'admin', permanent: true } });
+const projects = resourceOps('Projects', 'project', { item: ref('Project'), input: ref('ProjectInput') });
+
+const calendar = { description: 'An iCalendar feed', content: { 'text/calendar': { schema: text } } };
+const stat = (summary, data, params = scopeParams) => ({ get: op('Stats', summary, { params, responses: { 200: ok('Report', data) } }) });
+
+const paths = {
+    '/api': { get: op('Meta', 'Check that the API is up', { access: 'none', responses: { 200: json('Up', envelope()) } }) },
+    '/api/openapi.json': { get: op('Meta', 'This document', { access: 'none', responses: { 200: json('OpenAPI document', { type: 'object' }) } }) },
+    '/api/docs': {
+        get: op('Meta', 'Interactive API documentation', {
+            access: 'none',
+            responses: { 200: { description: 'HTML page', content: { 'text/html': { schema: text } } } }
+        })
+    },
+
+    '/api/auth/login': {
+        post: op('Auth', 'Log in with email and password', {
+            access: 'none',
+            body: {
+                type: 'object',
+                required: ['email', 'password'],
+                properties: { email: { type: 'string', minLength: 1 }, password: { type: 'string', minLength: 1 } }
+            },
+            responses: {
+                200: ok('Logged in', {
+                    type: 'object',
+                    required: ['token', 'user'],
+                    properties: { token: text, user: ref('User') }
+                })
+            }
+        })
+    },
+    '/api/auth/me': {
+        get: op('Auth', 'Who the credentials belong to', {
+            responses: {
+                200: ok('The caller', {
+                    type: 'object',
+                    properties: { type: text, role: nullable(text), userId: nullable(text), keyId: nullable(text), user: nullable(ref('User')) }
+                })
+            }
+        })
+    },
+    '/api/auth/api-keys': {
+        get: op('Auth', 'List API keys', { access: 'admin', responses: { 200: ok('API keys', arrayOf(ref('ApiKey'))) } }),
+        post: op('Auth', 'Create an API key', {
+            access: 'admin',
+            body: {
+                type: 'object',
+                required: ['name'],
+                properties: { name: { type: 'string', minLength: 1 }, role: { enum: ['service', 'admin'] } }
+            },
+            responses: { 201: ok('The key, shown only this once', ref('ApiKey')) }
+        })
+    },
+    '/api/auth/api-keys/{id}': {
+        delete: op('Auth', 'Revoke an API key', { access: 'admin', params: [pathId('API key')], responses: { 204: noContent } })
+    },
+
+    '/api/users': users.collection,
+    '/api/users/batch': { post: batchOp('Users', 'user', ref('UserInput')) },
+    '/api/users/{id}': users.item,
+    '/api/users/{id}/history': users.history,
+    '/api/users/{id}/notifications': {
+        get: op('Users', 'Deadline reminders and escalations for a user', {
+            params: [pathId('user'), ...listParams],
+            responses: { 200: listOf(ref('Notification')) },
+            description: 'Users can read their own; admins anyone\'s.'
+        })
+    },
+    '/api/users/{id}/calendar.ics': {
+        get: op('Users', 'A user\'s deadlines as iCalendar', { params: [pathId('user')], responses: { 200: calendar } })
+    },
+    '/api/users/{id}/restore': {
+        post: op('Users', 'Restore a user from the trash', {
+            access: 'admin',
+            params: [pathId('user'), ifMatch],
+            responses: {
+                200: ok('User restored, with the tasks that could not be handed back', {
+                    type: 'object',
+                    properties: Object.assign({ notRestored: arrayOf(text) }, USER_PROPERTIES)
+                })
+            }
+        })
+    },
+
+    '/api/tasks': tasks.collection,
+    '/api/tasks/search': {
+        get: op('Tasks', 'Full-text search over names and descriptions', {
+            params: [param('q', 'query', { type: 'string', minLength: 1, maxLength: 200 }, 'Search terms', true), ...listParams],
+            responses: { 200: ok('Matches, best first, with highlights', arrayOf(ref('Task'))) }
+        })
+    },
+    '/api/tasks/calendar.ics': {
+        get: op('Tasks', 'Deadlines of matching tasks as iCalendar', {
+            params: [listParams[0], integerQuery('limit', 1, MAX_LIMIT)],
+            responses: { 200: calendar }
+        })
+    },
+    '/api/tasks/auto-assign': {
+        post: op('Tasks', 'Assign open, unassigned tasks automatically', {
+            access: 'admin',
+            body: {
+                type: 'object',
+                properties: {
+                    strategy: { enum: STRATEGIES },
+                    tasks: arrayOf(id),
+                    users: arrayOf(id),
+                    project: id,
+                    limit: { type: 'integer', minimum: 1, maximum: 1000 },
+                    preview: flagInput
+                }
+            },
+            params: [boolQuery('preview')],
+            responses: { 200: ok('The assignments', { type: 'object' }) }
+        })
+    },
+    '/api/tasks/batch': { post: batchOp('Tasks', 'task', ref('TaskInput')) },
+    '/api/tasks/{id}': tasks.item,
+    '/api/tasks/{id}/history': tasks.history,
+    '/api/tasks/{id}/graph': {
+        get: op('Tasks', 'Blockers and subtasks around a task', {
+            params: [pathId('task'), integerQuery('depth', 1, 10, 'Levels to follow (default 3)')],
+            responses: { 200: ok('The dependency tree', { type: 'object' }) }
+        })
+    },
+    '/api/tasks/{id}/occurrences': {
+        get: op('Tasks', 'Upcoming occurrences of a recurring task', {
+            params: [pathId('task'), integerQuery('limit', 1, 100, 'How many (default 10)')],
+            responses: { 200: ok('Occurrences', arrayOf({ type: 'object' })) }
+        })
+    },
+    '/api/tasks/{id}/recurrence': {
+        delete: op('Tasks', 'Stop a recurring series', { params: [pathId('task'), ifMatch], responses: { 200: ok('Recurrence stopped', ref('Task')) } })
+    },
+    '/api/tasks/{id}/restore': {
+        post: op('Tasks', 'Restore a task from the trash', {
+            params: [pathId('task'), ifMatch],
+            responses: { 200: ok('Task restored', ref('Task')) },
+            description: 'The assignee or an admin.'
+        })
+    },
+
+    '/api/projects': projects.collection,
+    '/api/projects/{id}': projects.item,
+    '/api/projects/{id}/history': projects.history,
+    '/api/projects/{id}/tasks': {
+        get: op('Projects', 'A project\'s tasks', { params: [pathId('project'), ...listParams], responses: { 200: listOf(ref('Task')) } })
+    },
+    '/api/projects/{id}/counts': {
+        get: op('Projects', 'Task counts of a project', { params: [pathId('project')], responses: { 200: ok('Counts', { type: 'object' }) } })
+    },
+
+    '/api/stats/overview': stat('Open, overdue, created and completed tasks', { type: 'object' }),
+    '/api/stats/users': stat('The overview per assignee', arrayOf({ type: 'object' })),
+    '/api/stats/completions': stat('Created and completed tasks per day or week', arrayOf({ type: 'object' })),
+    '/api/stats/burndown': stat('Open tasks remaining per day or week', { type: 'object' }),
+    '/api/stats/overdue': stat('Open tasks past their deadline', arrayOf({ type: 'object' }),
+        scopeParams.concat([integerQuery('limit', 1, 1000, 'How many (default 100)')])),
+
+    '/api/trash': {
+        get: op('Trash', 'Trashed tasks and users', {
+            params: [integerQuery('skip', 0), integerQuery('limit', 1, MAX_LIMIT)],
+            responses: {
+                200: ok('The trash', {
+                    type: 'object',
+                    properties: { retentionDays: { type: 'number' }, tasks: arrayOf(ref('Task')), users: arrayOf(ref('User')) }
+                })
+            },
+            description: 'Users who are not admins only see their own tasks.'
+        })
+    },
+
+    '/api/admin/integrity': {
+        get: op('Admin', 'Check pendingTasks against task assignments', { access: 'admin', responses: { 200: ok('Report', { type: 'object' }) } })
+    },
+    '/api/admin/integrity/repair': {
+        post: op('Admin', 'Repair pendingTasks and task assignments', {
+            access: 'admin',
+            params: [boolQuery('dryRun')],
+            body: { type: 'object', properties: { dryRun: flagInput } },
+            responses: { 200: ok('Report', { type: 'object' }) }
+        })
+    },
+
+    '/api/audit': {
+        get: op('Admin', 'Search the audit log', {
+            access: 'admin',
+            params: [
+                param('entityType', 'query', { enum: ['Task', 'User', 'Project'] }),
+                param('entityId', 'query', text),
+                param('action', 'query', { enum: ['create', 'update', 'delete'] }),
+                param('actor', 'query', text, 'User or API key id'),
+                param('field', 'query', text, 'A changed field'),
+                param('since', 'query', { type: 'string', format: 'date' }),
+                param('until', 'query', { type: 'string', format: 'date' }),
+                ...listParams
+            ],
+            responses: { 200: listOf(ref('AuditEntry')) }
+        })
+    },
+
+    '/api/export': {
+        get: op('Admin', 'Export all users and tasks', {
+            access: 'admin',
+            params: [param('format', 'query', { enum: ['csv', 'ndjson'] }, 'Default csv')],
+            responses: {
+                200: { description: 'The file', content: { 'text/csv': { schema: text }, 'application/x-ndjson': { schema: text } } }
+            }
+        })
+    },
+    '/api/import': {
+        post: op('Admin', 'Import users and tasks in the export format', {
+            access: 'admin',
+            params: [param('format', 'query', { enum: ['csv', 'ndjson'] }), boolQuery('dryRun')],
+            body: text,
+            bodyType: ['text/csv', 'application/x-ndjson'],
+            responses: { 200: ok('Import report', { type: 'object' }), 201: ok('Imported', { type: 'object' }) }
+        })
+    },
+
+    '/api/webhooks': {
+        get: op('Webhooks', 'List webhooks', { access: 'admin', responses: { 200: ok('Webhooks', arrayOf(ref('Webhook'))) } }),
+        post: op('Webhooks', 'Subscribe a URL to change events', {
+            access: 'admin',
+            body: ref('WebhookInput'),
+            responses: { 201: ok('Webhook created; the secret is shown only this once', ref('Webhook')) }
+        })
+    },
+    '/api/webhooks/{id}': {
+        get: op('Webhooks', 'Get a webhook', { access: 'admin', params: [pathId('webhook')], responses: { 200: ok('Webhook', ref('Webhook')) } }),
+        patch: op('Webhooks', 'Change a webhook', {
+            access: 'admin',
+            params: [pathId('webhook')],
+            body: { type: 'object', properties: ref('WebhookInput').properties },
+            responses: { 200: ok('Webhook updated', ref('Webhook')) }
+        }),
+        delete: op('Webhooks', 'Delete a webhook', { access: 'admin', params: [pathId('webhook')], responses: { 204: noContent } })
+    },
+    '/api/webhooks/{id}/deliveries': {
+        get: op('Webhooks', 'Recent deliveries of a webhook', {
+            access: 'admin',
+            params: [pathId('webhook'), param('status', 'query', { enum: ['pending', 'succeeded', 'failed'] })],
+            responses: { 200: ok('Deliveries', arrayOf(ref('WebhookDelivery'))) }
+        })
+    },
+    '/api/webhooks/{id}/ping': {
+        post: op('Webhooks', 'Send a test delivery', {
+            access: 'admin',
+            params: [pathId('webhook')],
+            responses: { 202: ok('Ping queued', ref('WebhookDelivery')) }
+        })
+    },
+
+    '/api/calendar/{token}.ics': {
+        get: op('Calendar', 'A subscribed calendar feed', {
+            access: 'none',
+            params: [param('token', 'path', text, 'The token from the subscription URL')],
+            responses: { 200: calendar }
+        })
+    },
+    '/api/calendar/subscriptions': {
+        get: op('Calendar', 'List calendar subscriptions', { responses: { 200: ok('Subscriptions', arrayOf(ref('CalendarFeed'))) } }),
+        post: op('Calendar', 'Create a calendar subscription URL', {
+            body: {
+                type: 'object',
+                properties: { name: text, user: id, where: { type: ['string', 'object'] } }
+            },
+            responses: { 201: ok('The subscription, with its URL shown only this once', ref('CalendarFeed')) }
+        })
+    },
+    '/api/calendar/subscriptions/{id}': {
+        delete: op('Calendar', 'Revoke a calendar subscription', { params: [pathId('subscription')], responses: { 204: noContent } })
+    },
+
+    '/api/events': {
+        get: op('Events', 'Server-Sent Events stream of changes', {
+            params: [
+                param('types', 'query', text, `Comma-separated event types: ${EVENT_TYPES.join(', ')}`),
+                param('resource', 'query', { enum: ['task', 'user', 'project'] }),
+                param('resourceId', 'query', text),
+                param('assignedUser', 'query', text),
+                param('lastEventId', 'query', id, 'Replay events after this one (or send Last-Event-ID)'),
+                param('access_token', 'query', text, 'Login token, for clients that cannot set headers')
+            ],
+            responses: { 200: { description: 'The event stream', content: { 'text/event-stream': { schema: text } } } }
+        })
+    }
+};
+
+const schemas = {
+    ObjectId: { type: 'string', pattern: '^[0-9a-fA-F]{24}$', 'x-pattern-message': 'must be a valid id' },
+    Date: { type: 'string', format: 'date-time' },
+    DateInput: { type: ['string', 'number'], format: 'date', description: 'Anything Date accepts: ISO 8601 or milliseconds since 1970' },
+    Error: envelope({}),
+    ValidationError: envelope({
+        type: 'object',
+        properties: {
+            errors: arrayOf({
+                type: 'object',
+                required: ['in', 'field', 'message'],
+                properties: { in: { enum: ['path', 'query', 'body'] }, field: text, message: text }
+            })
+        }
+    }),
+    Pagination: {
+        type: 'object',
+        properties: {
+            total: { type: 'integer' },
+            skip: { type: 'integer' },
+            limit: nullable({ type: 'integer' }),
+            next: nullable(text),
+            prev: nullable(text)
+        }
+    },
+    Patch: {
+        anyOf: [
+            { type: 'object' },
+            arrayOf({
+                type: 'object',
+                required: ['op', 'path'],
+                properties: { op: { enum: ['add', 'remove', 'replace', 'move', 'copy', 'test'] }, path: text, from: text }
+            })
+        ]
+    },
+    BooleanInput: { anyOf: [flag, { enum: ['true', 'false'] }] },
+    Recurrence: {
+        anyOf: [
+            { type: 'string', minLength: 1, description: 'An RRULE, e.g. FREQ=WEEKLY;BYDAY=MO,WE' },
+            {
+                type: 'object',
+                required: ['freq'],
+                properties: {
+                    freq: { type: 'string', description: 'daily, weekly or monthly' },
+                    interval: { type: ['integer', 'string'] },
+                    byDay: { anyOf: [arrayOf(text), text, { type: 'null' }] },
+                    byMonthDay: { type: ['integer', 'string', 'null'] },
+                    until: nullable(ref('DateInput')),
+                    count: { type: ['integer', 'string', 'null'] }
+                }
+            }
+        ]
+    },
+    Task: {
+        type: 'object',
+        properties: {
+            _id: id,
+            name: text,
+            description: text,
+            deadline: date,
+            completed: flag,
+            completedAt: nullable(date),
+            assignedUser: text,
+            assignedUserName: text,
+            dateCreated: date,
+            recurrence: nullable({ type: 'object' }),
+            seriesId: text,
+            occurrence: { type: 'integer' },
+            project: text,
+            archived: flag,
+            parent: text,
+            blockedBy: arrayOf(text),
+            subtasks: { type: 'object', properties: { total: { type: 'integer' }, completed: { type: 'integer' } } },
+            deletedAt: nullable(date),
+            __v: { type: 'integer' }
+        }
+    },
+    TaskInput: {
+        type: 'object',
+        required: ['name', 'deadline'],
+        properties: {
+            name: { type: 'string', pattern: '\\S', 'x-pattern-message': 'must not be blank' },
+            deadline: ref('DateInput'),
+            description: text,
+            completed: flagInput,
+            assignedUser: { anyOf: [id, { const: '' }] },
+            assignedUserName: text,
+            recurrence: nullable(ref('Recurrence')),
+            project: { anyOf: [id, { const: '' }] },
+            parent: { anyOf: [id, { const: '' }] },
+            blockedBy: arrayOf(id)
+        }
+    },
+    User: { type: 'object', properties: USER_PROPERTIES },
+    UserInput: {
+        type: 'object',
+        required: ['name', 'email'],
+        properties: {
+            name: { type: 'string', pattern: '\\S', 'x-pattern-message': 'must not be blank' },
+            email: { type: 'string', pattern: '^\\s*[^\\s@]+@[^\\s@]+\\s*$', 'x-pattern-message': 'must be an email address' },
+            password: { type: 'string', minLength: MIN_PASSWORD_LENGTH },
+            role: { enum: ['user', 'admin'] },
+            pendingTasks: arrayOf(id)
+        }
+    },
+    Project: {
+        type: 'object',
+        properties: { _id: id, name: text, description: text, members: arrayOf(text), dateCreated: date, __v: { type: 'integer' } }
+    },
+    ProjectInput: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+            name: { type: 'string', pattern: '\\S', 'x-pattern-message': 'must not be blank' },
+            description: text,
+            members: arrayOf(id)
+        }
+    },
+    AuditEntry: {
+        type: 'object',
+        properties: {
+            _id: id,
+            entityType: { enum: ['Task', 'User', 'Project'] },
+            entityId: text,
+            action: { enum: ['create', 'update', 'delete'] },
+            actor: { type: 'object' },
+            changes: arrayOf({ type: 'object', properties: { field: text } }),
+            timestamp: date
+        }
+    },
+    Notification: {
+        type: 'object',
+        properties: {
+            _id: id,
+            user: text,
+            kind: { enum: ['due-soon', 'overdue', 'escalation'] },
+            task: text,
+            taskName: text,
+            deadline: date,
+            assignedUser: text,
+            assignedUserName: text,
+            message: text,
+            dateCreated: date
+        }
+    },
+    ApiKey: {
+        type: 'object',
+        properties: {
+            _id: id, name: text, prefix: text, role: { enum: ['service', 'admin'] }, revoked: flag,
+            lastUsed: nullable(date), dateCreated: date, key: text
+        }
+    },
+    Webhook: {
+        type: 'object',
+        properties: { _id: id, url: text, events: arrayOf(text), active: flag, createdBy: nullable(text), dateCreated: date, secret: text }
+    },
+    WebhookInput: {
+        type: 'object',
+        required: ['url'],
+        properties: {
+            url: { type: 'string', format: 'uri' },
+            events: { anyOf: [arrayOf({ enum: ['*'].concat(EVENT_TYPES) }), text] },
+            secret: text,
+            active: flagInput
+        }
+    },
+    WebhookDelivery: {
+        type: 'object',
+        properties: {
+            _id: id, webhook: text, event: text, eventId: text, payload: {}, status: { enum: ['pending', 'succeeded', 'failed'] },
+            attempts: arrayOf({ type: 'object' }), nextAttemptAt: nullable(date), dateCreated: date
+        }
+    },
+    CalendarFeed: {
+        type: 'object',
+        properties: {
+            _id: id, name: text, user: text, where: text, owner: { type: 'object' }, prefix: text, revoked: flag,
+            lastUsed: nullable(date), dateCreated: date, url: text
+        }
+    },
+    BatchResponse: envelope({
+        type: 'object',
+        required: ['atomic', 'succeeded', 'failed', 'results'],
+        properties: {
+            atomic: flag,
+            succeeded: { type: 'integer' },
+            failed: { type: 'integer' },
+            results: arrayOf({
+                type: 'object',
+                required: ['index', 'op', 'status'],
+                properties: { index: { type: 'integer' }, op: text, id: nullable(text), status: { type: 'integer' }, etag: nullable(text), message: text }
+            })
+        }
+    })
+};
+
+const document = {
+    openapi: '3.1.0',
+    info: {
+        title: 'Task Manager API',
+        version: '1.0.0',
+        description: 'Users, tasks and projects. Every response is {"message", "data"}; invalid requests get 400 with '
+            + 'data.errors listing each offending field.'
+    },
+    servers: [{ url: '/' }],
+    tags: ['Meta', 'Auth', 'Users', 'Tasks', 'Projects', 'Stats', 'Trash', 'Admin', 'Webhooks', 'Calendar', 'Events'].map(name => ({ name })),
+    paths,
+    components: {
+        schemas,
+        responses: {
+            Error: json('An error', ref('Error'))
+        },
+        securitySchemes: {
+            bearerAuth: { type: 'http', scheme: 'bearer', description: 'Token from POST /api/auth/login' },
+            apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+        }
+    }
+};
+
+module.exports = { document };
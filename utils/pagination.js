@@ -0,0 +1,156 @@
+const { ApiError } = require('./errors');
+
+// Keyset ("cursor") pagination for the list endpoints. A cursor is an opaque
+// base64url blob holding the sort it was issued for, the sort-key values of
+// the boundary document and which way to read, so paging stays stable while
+// documents are inserted and never needs a large skip.
+
+function normalizeSort(sort) {
+    const pairs = Object.keys(sort).map(field => {
+        const raw = sort[field];
+        const dir = (raw === -1 || raw === '-1' || raw === 'desc' || raw === 'descending') ? -1 : 1;
+        return [field, dir];
+    });
+    if (!pairs.some(([field]) => field === '_id')) pairs.push(['_id', 1]);
+    return pairs;
+}
+
+function encodeCursor(payload) {
+    return Buffer.from(JSON.stringify(payload)).toString('base64')
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const json = Buffer.from(cursor.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+        const payload = JSON.parse(json);
+        if (!Array.isArray(payload.sort) || !Array.isArray(payload.values) ||
+            payload.sort.length !== payload.values.length || !['next', 'prev'].includes(payload.dir)) {
+            throw new Error('malformed cursor');
+        }
+        return payload;
+    } catch {
+        throw new ApiError(400, 'Bad Request: invalid cursor');
+    }
+}
+
+function valueAt(doc, path) {
+    return path.split('.').reduce((v, key) => (v == null ? undefined : v[key]), doc);
+}
+
+function cursorFor(doc, sortPairs, dir) {
+    return encodeCursor({ sort: sortPairs, values: sortPairs.map(([field]) => valueAt(doc, field)), dir });
+}
+
+// Documents strictly after (or before, when backward) the boundary values.
+// MongoDB sorts null and missing values before everything else, and $gt/$lt
+// never match them, so nullable sort keys (completedAt, parent...) get their
+// own branches: past a null come the non-null values, and below a non-null
+// value come the nulls too.
+function keysetFilter(sortPairs, values, backward) {
+    const or = [];
+    sortPairs.forEach(([field, dir], i) => {
+        const cond = {};
+        for (let j = 0; j < i; j++) cond[sortPairs[j][0]] = values[j];
+        const value = values[i] === undefined ? null : values[i];
+        if ((dir === 1) !== backward) {
+            cond[field] = value === null ? { $ne: null } : { $gt: value };
+        } else if (value === null) {
+            return; // nothing sorts below null
+        } else {
+            cond.$or = [{ [field]: { $lt: value } }, { [field]: null }];
+        }
+        or.push(cond);
+    });
+    return { $or: or };
+}
+
+// Cursors need the sort keys of every returned document, so make sure an
+// explicit projection does not drop them.
+function projectionWithSortKeys(select, sortPairs) {
+    const fields = Object.keys(select);
+    if (!fields.length) return select;
+    const projection = Object.assign({}, select);
+    const inclusive = fields.some(f => f !== '_id' && Number(select[f]) === 1);
+    for (const [field] of sortPairs) {
+        if (inclusive) projection[field] = 1;
+        else delete projection[field];
+    }
+    return projection;
+}
+
+async function paginate(Model, { where = {}, sort = {}, select = {}, skip = 0, limit, cursor, maxTimeMS }) {
+    let sortPairs = normalizeSort(sort);
+    let filter = where;
+    let backward = false;
+
+    if (cursor) {
+        const c = decodeCursor(cursor);
+        if (Object.keys(sort).length && JSON.stringify(c.sort) !== JSON.stringify(sortPairs)) {
+            throw new ApiError(400, 'Bad Request: cursor was issued for a different sort');
+        }
+        if (skip) {
+            throw new ApiError(400, 'Bad Request: skip cannot be combined with cursor');
+        }
+        sortPairs = c.sort;
+        backward = c.dir === 'prev';
+        filter = { $and: [where, keysetFilter(sortPairs, c.values, backward)] };
+    }
+
+    const querySort = {};
+    sortPairs.forEach(([field, dir]) => { querySort[field] = backward ? -dir : dir; });
+
+    let q = Model.find(filter).sort(querySort);
+    const projection = projectionWithSortKeys(select, sortPairs);
+    if (Object.keys(projection).length) q = q.select(projection);
+    if (skip) q = q.skip(skip);
+    if (limit !== undefined) q = q.limit(limit + 1);
+
+    let countQ = Model.countDocuments(where);
+    if (maxTimeMS) {
+        q = q.maxTimeMS(maxTimeMS);
+        countQ = countQ.maxTimeMS(maxTimeMS);
+    }
+
+    const [found, total] = await Promise.all([q.exec(), countQ.exec()]);
+
+    const hasMore = limit !== undefined && found.length > limit;
+    const docs = hasMore ? found.slice(0, limit) : found;
+    if (backward) docs.reverse();
+
+    let next = null;
+    let prev = null;
+    if (docs.length) {
+        const first = docs[0].toObject ? docs[0].toObject() : docs[0];
+        const last = docs[docs.length - 1].toObject ? docs[docs.length - 1].toObject() : docs[docs.length - 1];
+        if (backward ? Boolean(cursor) : hasMore) next = cursorFor(last, sortPairs, 'next');
+        if (backward ? hasMore : Boolean(cursor) || skip > 0) prev = cursorFor(first, sortPairs, 'prev');
+    }
+
+    return { docs, total, next, prev };
+}
+
+function pageLink(req, cursor) {
+    const params = new URLSearchParams();
+    Object.keys(req.query).forEach(key => {
+        if (key !== 'cursor' && key !== 'skip') params.set(key, req.query[key]);
+    });
+    if (cursor) params.set('cursor', cursor);
+    const qs = params.toString();
+    return `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}${qs ? '?' + qs : ''}`;
+}
+
+// Sets X-Total-Count and an RFC 5988 Link header, and returns the pagination
+// block that goes next to `data` in the response body.
+function setPaginationHeaders(req, res, page, { skip = 0, limit } = {}) {
+    const links = [`<${pageLink(req, null)}>; rel="first"`];
+    if (page.prev) links.push(`<${pageLink(req, page.prev)}>; rel="prev"`);
+    if (page.next) links.push(`<${pageLink(req, page.next)}>; rel="next"`);
+
+    res.set('X-Total-Count', String(page.total));
+    res.set('Link', links.join(', '));
+
+    return { total: page.total, skip, limit: limit === undefined ? null : limit, next: page.next, prev: page.prev };
+}
+
+module.exports = { paginate, setPaginationHeaders, encodeCursor, decodeCursor };
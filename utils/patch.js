@@ -0,0 +1,151 @@
+const { ApiError } = require('./errors');
+
+// Applies a PATCH body to a plain-object copy of a document. Bodies sent as
+// application/json-patch+json (or any JSON array) are JSON Patch (RFC 6902);
+// anything else is a JSON Merge Patch (RFC 7396).
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function isObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function deepEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function mergePatch(target, patch) {
+    if (!isObject(patch)) return clone(patch);
+    const result = isObject(target) ? Object.assign({}, target) : {};
+    for (const key of Object.keys(patch)) {
+        if (patch[key] === null) delete result[key];
+        else result[key] = mergePatch(result[key], patch[key]);
+    }
+    return result;
+}
+
+function parsePointer(pointer, where) {
+    if (typeof pointer !== 'string' || (pointer !== '' && pointer[0] !== '/')) {
+        throw new ApiError(400, `Bad Request: ${where} is not a valid JSON pointer`);
+    }
+    if (pointer === '') return [];
+    return pointer.slice(1).split('/').map(t => t.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+// Returns the container holding the last token, plus that token.
+function locate(doc, tokens, where) {
+    let node = doc;
+    for (const token of tokens.slice(0, -1)) {
+        node = Array.isArray(node) ? node[Number(token)] : (isObject(node) ? node[token] : undefined);
+        if (node === undefined) throw new ApiError(400, `Bad Request: ${where} does not exist`);
+    }
+    if (!Array.isArray(node) && !isObject(node)) throw new ApiError(400, `Bad Request: ${where} does not exist`);
+    return { parent: node, key: tokens[tokens.length - 1] };
+}
+
+function arrayIndex(arr, key, allowEnd, where) {
+    if (allowEnd && key === '-') return arr.length;
+    const i = /^(0|[1-9][0-9]*)$/.test(key) ? Number(key) : -1;
+    if (i < 0 || i > arr.length || (!allowEnd && i === arr.length)) {
+        throw new ApiError(400, `Bad Request: ${where} is out of range`);
+    }
+    return i;
+}
+
+function getAt(doc, tokens, where) {
+    if (!tokens.length) return doc;
+    const { parent, key } = locate(doc, tokens, where);
+    if (Array.isArray(parent)) return parent[arrayIndex(parent, key, false, where)];
+    if (!Object.prototype.hasOwnProperty.call(parent, key)) throw new ApiError(400, `Bad Request: ${where} does not exist`);
+    return parent[key];
+}
+
+function addAt(doc, tokens, value, where) {
+    if (!tokens.length) throw new ApiError(400, `Bad Request: ${where} cannot replace the whole document`);
+    const { parent, key } = locate(doc, tokens, where);
+    if (Array.isArray(parent)) parent.splice(arrayIndex(parent, key, true, where), 0, value);
+    else parent[key] = value;
+}
+
+function removeAt(doc, tokens, where) {
+    if (!tokens.length) throw new ApiError(400, `Bad Request: ${where} cannot remove the whole document`);
+    const value = getAt(doc, tokens, where);
+    const { parent, key } = locate(doc, tokens, where);
+    if (Array.isArray(parent)) parent.splice(arrayIndex(parent, key, false, where), 1);
+    else delete parent[key];
+    return value;
+}
+
+function applyJsonPatch(target, ops) {
+    const doc = clone(target);
+    ops.forEach((op, i) => {
+        const where = `operation ${i} path`;
+        if (!isObject(op) || typeof op.op !== 'string') {
+            throw new ApiError(400, `Bad Request: operation ${i} must be an object with an op`);
+        }
+        const path = parsePointer(op.path, where);
+        const needsValue = ['add', 'replace', 'test'].includes(op.op);
+        if (needsValue && !Object.prototype.hasOwnProperty.call(op, 'value')) {
+            throw new ApiError(400, `Bad Request: operation ${i} (${op.op}) needs a value`);
+        }
+
+        switch (op.op) {
+        case 'add':
+            addAt(doc, path, clone(op.value), where);
+            break;
+        case 'remove':
+            removeAt(doc, path, where);
+            break;
+        case 'replace':
+            removeAt(doc, path, where);
+            addAt(doc, path, clone(op.value), where);
+            break;
+        case 'move': {
+            const from = parsePointer(op.from, `operation ${i} from`);
+            addAt(doc, path, removeAt(doc, from, `operation ${i} from`), where);
+            break;
+        }
+        case 'copy': {
+            const from = parsePointer(op.from, `operation ${i} from`);
+            addAt(doc, path, clone(getAt(doc, from, `operation ${i} from`)), where);
+            break;
+        }
+        case 'test':
+            if (!deepEqual(getAt(doc, path, where), op.value)) {
+                throw new ApiError(409, `Conflict: test operation ${i} on ${op.path} failed`);
+            }
+            break;
+        default:
+            throw new ApiError(400, `Bad Request: operation ${i} has unknown op ${op.op}`);
+        }
+    });
+    return doc;
+}
+
+function isJsonPatch(req) {
+    return req.is('application/json-patch+json') || Array.isArray(req.body);
+}
+
+// Returns the patched copy of `current`. Fields listed in `immutable` must
+// come out unchanged.
+function applyPatch(req, current, { immutable = [] } = {}) {
+    let patched;
+    if (isJsonPatch(req)) {
+        if (!Array.isArray(req.body)) throw new ApiError(400, 'Bad Request: a JSON Patch body must be an array of operations');
+        patched = applyJsonPatch(current, req.body);
+    } else {
+        if (!isObject(req.body)) throw new ApiError(400, 'Bad Request: a merge patch body must be a JSON object');
+        patched = mergePatch(clone(current), req.body);
+    }
+
+    for (const field of immutable) {
+        if (!deepEqual(patched[field], current[field])) {
+            throw new ApiError(400, `Bad Request: ${field} cannot be changed`);
+        }
+    }
+    return patched;
+}
+
+module.exports = { applyPatch, mergePatch, applyJsonPatch };
@@ -0,0 +1,60 @@
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const { ApiError } = require('./errors');
+const { isValidObjectId } = require('./query');
+
+// Loads the project a task is filed under (null for none) and checks that
+// `userId`, when given, is one of its members.
+async function checkAssignable(session, projectId, userId) {
+    if (!projectId) return null;
+    if (!isValidObjectId(projectId)) throw new ApiError(400, 'Bad Request: project is not a valid id');
+
+    const project = await Project.findById(projectId).session(session);
+    if (!project) throw new ApiError(400, 'Bad Request: project does not exist');
+    if (userId && !project.members.includes(String(userId))) {
+        throw new ApiError(400, 'Bad Request: assignedUser is not a member of the project');
+    }
+    return project;
+}
+
+// Tasks of deleted projects are archived rather than removed. Listings leave
+// them out unless the client's where asks about `archived` itself.
+function withoutArchived(where) {
+    if (Object.prototype.hasOwnProperty.call(where, 'archived')) return where;
+    const active = { archived: { $ne: true } };
+    return Object.keys(where).length ? { $and: [where, active] } : active;
+}
+
+// Open/completed/overdue task counts of one project, overall and per assignee.
+async function taskCounts(projectId, now = new Date()) {
+    const [totals, byMember] = await Promise.all([
+        Task.aggregate([
+            { $match: { project: projectId, archived: { $ne: true } } },
+            {
+                $group: {
+                    _id: null,
+                    total: { $sum: 1 },
+                    open: { $sum: { $cond: ['$completed', 0, 1] } },
+                    completed: { $sum: { $cond: ['$completed', 1, 0] } },
+                    overdue: { $sum: { $cond: [{ $and: [{ $not: ['$completed'] }, { $lt: ['$deadline', now] }] }, 1, 0] } }
+                }
+            }
+        ]),
+        Task.aggregate([
+            { $match: { project: projectId, archived: { $ne: true }, completed: false } },
+            { $group: { _id: '$assignedUser', open: { $sum: 1 } } },
+            { $sort: { open: -1, _id: 1 } }
+        ])
+    ]);
+
+    const counts = totals[0] || { total: 0, open: 0, completed: 0, overdue: 0 };
+    return {
+        total: counts.total,
+        open: counts.open,
+        completed: counts.completed,
+        overdue: counts.overdue,
+        openByMember: byMember.map(m => ({ user: m._id || '', open: m.open }))
+    };
+}
+
+module.exports = { checkAssignable, withoutArchived, taskCounts };
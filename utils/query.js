@@ -0,0 +1,230 @@
+const mongoose = require('mongoose');
+const { ApiError } = require('./errors');
+const { decodeCursor } = require('./pagination');
+
+// Validation for the JSON-encoded where/sort/select parameters and the
+// skip/limit/count/cursor parameters shared by the list endpoints. Clients
+// only get to query the fields and operators listed here, and every query
+// runs with a server-side time limit.
+
+const MAX_DEPTH = 5;
+const MAX_IN_VALUES = 500;
+const MAX_REGEX_LENGTH = 100;
+const MAX_LIMIT = 1000;
+const QUERY_MAX_TIME_MS = parseInt(process.env.QUERY_MAX_TIME_MS, 10) || 2000;
+
+// Fields clients may filter/sort on (all indexed) and fields they may select.
+// A null defaultLimit lists everything, as GET /api/users always has, except
+// when paging with a cursor, where pages hold MAX_LIMIT documents.
+const SPECS = {
+    Task: {
+        filter: ['_id', 'name', 'deadline', 'completed', 'assignedUser', 'assignedUserName', 'dateCreated', 'seriesId', 'occurrence',
+            'project', 'archived', 'parent', 'blockedBy', 'completedAt'],
+        select: ['_id', 'name', 'description', 'deadline', 'completed', 'assignedUser', 'assignedUserName', 'dateCreated',
+            'recurrence', 'seriesId', 'occurrence', 'project', 'archived', 'parent', 'blockedBy', 'subtasks', 'completedAt'],
+        defaultLimit: 100
+    },
+    User: {
+        filter: ['_id', 'name', 'email', 'role', 'pendingTasks', 'dateCreated'],
+        select: ['_id', 'name', 'email', 'role', 'pendingTasks', 'dateCreated'],
+        defaultLimit: null
+    },
+    Project: {
+        filter: ['_id', 'name', 'members', 'dateCreated'],
+        select: ['_id', 'name', 'description', 'members', 'dateCreated'],
+        defaultLimit: 100
+    },
+    AuditEntry: {
+        filter: ['_id', 'entityType', 'entityId', 'action', 'actor.kind', 'actor.id', 'timestamp'],
+        select: ['_id', 'entityType', 'entityId', 'action', 'actor', 'changes', 'timestamp'],
+        defaultLimit: 100
+    },
+    Notification: {
+        filter: ['_id', 'kind', 'task', 'deadline', 'assignedUser', 'dateCreated'],
+        select: ['_id', 'user', 'kind', 'task', 'taskName', 'deadline', 'assignedUser', 'assignedUserName', 'message', 'dateCreated'],
+        defaultLimit: 100
+    }
+};
+
+const LOGICAL_OPERATORS = ['$and', '$or', '$nor'];
+const COMPARISON_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte'];
+const ARRAY_OPERATORS = ['$in', '$nin', '$all'];
+const FIELD_OPERATORS = COMPARISON_OPERATORS.concat(ARRAY_OPERATORS, ['$exists', '$size', '$regex', '$options', '$not']);
+
+function isValidObjectId(id) {
+    return typeof id === 'string' && mongoose.Types.ObjectId.isValid(id);
+}
+
+function bad(message) {
+    return new ApiError(400, 'Bad Request: ' + message);
+}
+
+function isPlainObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function isScalar(v) {
+    return v === null || ['string', 'number', 'boolean'].includes(typeof v);
+}
+
+function parseJSONParam(name, value, fallback = {}) {
+    if (value === undefined) return fallback;
+    let parsed;
+    try { parsed = JSON.parse(value); }
+    catch { throw bad(`${name} contains invalid JSON`); }
+    if (!isPlainObject(parsed)) throw bad(`${name} must be a JSON object`);
+    return parsed;
+}
+
+function intParam(name, value, { min, max }) {
+    if (value === undefined || value === '') return undefined;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min) throw bad(`${name} must be an integer of at least ${min}`);
+    if (max !== undefined && n > max) throw bad(`${name} must be at most ${max}`);
+    return n;
+}
+
+// Rejects patterns with nested quantifiers such as (a+)+ or backreferences,
+// the usual sources of catastrophic backtracking.
+function checkRegex(path, pattern) {
+    if (typeof pattern !== 'string') throw bad(`${path}: $regex must be a string`);
+    if (pattern.length > MAX_REGEX_LENGTH) throw bad(`${path}: $regex is longer than ${MAX_REGEX_LENGTH} characters`);
+    if (/\\[1-9]/.test(pattern) || /\([^)]*[+*}][^)]*\)\s*[+*{?]/.test(pattern)) {
+        throw bad(`${path}: $regex uses nested quantifiers or backreferences`);
+    }
+    try { new RegExp(pattern); }
+    catch { throw bad(`${path}: $regex is not a valid regular expression`); }
+}
+
+function checkFieldValue(path, value, depth) {
+    if (depth > MAX_DEPTH) throw bad(`${path}: where is nested more than ${MAX_DEPTH} levels deep`);
+    if (isScalar(value)) return;
+    if (Array.isArray(value)) throw bad(`${path}: use $in or $all to match against a list`);
+
+    for (const op of Object.keys(value)) {
+        const opPath = `${path}.${op}`;
+        const arg = value[op];
+
+        if (!op.startsWith('$')) throw bad(`${path}: sub-document matches are not supported`);
+        if (!FIELD_OPERATORS.includes(op)) throw bad(`${opPath}: operator ${op} is not allowed`);
+
+        if (COMPARISON_OPERATORS.includes(op)) {
+            if (!isScalar(arg)) throw bad(`${opPath}: expected a string, number, boolean or null`);
+        } else if (ARRAY_OPERATORS.includes(op)) {
+            if (!Array.isArray(arg) || !arg.every(isScalar)) throw bad(`${opPath}: expected an array of plain values`);
+            if (arg.length > MAX_IN_VALUES) throw bad(`${opPath}: more than ${MAX_IN_VALUES} values`);
+        } else if (op === '$exists') {
+            if (typeof arg !== 'boolean') throw bad(`${opPath}: expected true or false`);
+        } else if (op === '$size') {
+            if (!Number.isInteger(arg) || arg < 0) throw bad(`${opPath}: expected a non-negative integer`);
+        } else if (op === '$regex') {
+            checkRegex(opPath, arg);
+        } else if (op === '$options') {
+            if (typeof arg !== 'string' || !/^[imx]*$/.test(arg)) throw bad(`${opPath}: only the i, m and x flags are allowed`);
+            if (value.$regex === undefined) throw bad(`${opPath}: $options requires $regex`);
+        } else if (op === '$not') {
+            if (!isPlainObject(arg)) throw bad(`${opPath}: expected an operator object`);
+            checkFieldValue(opPath, arg, depth + 1);
+        }
+    }
+}
+
+function checkWhere(spec, path, where, depth) {
+    if (depth > MAX_DEPTH) throw bad(`${path}: where is nested more than ${MAX_DEPTH} levels deep`);
+
+    for (const key of Object.keys(where)) {
+        const keyPath = `${path}.${key}`;
+        const value = where[key];
+
+        if (key.startsWith('$')) {
+            if (!LOGICAL_OPERATORS.includes(key)) throw bad(`${keyPath}: operator ${key} is not allowed`);
+            if (!Array.isArray(value) || !value.length || !value.every(isPlainObject)) {
+                throw bad(`${keyPath}: expected a non-empty array of conditions`);
+            }
+            value.forEach((clause, i) => checkWhere(spec, `${keyPath}[${i}]`, clause, depth + 1));
+        } else {
+            if (!spec.filter.includes(key)) throw bad(`${keyPath}: filtering on ${key} is not allowed`);
+            checkFieldValue(keyPath, value, depth + 1);
+        }
+    }
+    return where;
+}
+
+function checkSort(spec, sort) {
+    for (const key of Object.keys(sort)) {
+        if (!spec.filter.includes(key)) throw bad(`sort.${key}: sorting on ${key} is not allowed`);
+        if (![1, -1, '1', '-1', 'asc', 'desc', 'ascending', 'descending'].includes(sort[key])) {
+            throw bad(`sort.${key}: expected 1 or -1`);
+        }
+    }
+    return sort;
+}
+
+function checkSelect(spec, select) {
+    const keys = Object.keys(select);
+    for (const key of keys) {
+        if (!spec.select.includes(key)) throw bad(`select.${key}: selecting ${key} is not allowed`);
+        if (![0, 1, true, false].includes(select[key])) throw bad(`select.${key}: expected 1 or 0`);
+    }
+    const modes = new Set(keys.filter(k => k !== '_id').map(k => Number(select[k])));
+    if (modes.size > 1) throw bad('select cannot mix included and excluded fields');
+    return select;
+}
+
+// Cursors are opaque to clients but not trusted: they must only sort and
+// compare on the same fields a client could have asked for directly.
+function checkCursor(spec, cursor) {
+    const c = decodeCursor(cursor);
+    c.sort.forEach((pair, i) => {
+        const [field, dir] = Array.isArray(pair) ? pair : [];
+        if (!spec.filter.includes(field) || ![1, -1].includes(dir) || !isScalar(c.values[i])) {
+            throw bad('cursor is not valid for this resource');
+        }
+    });
+    return cursor;
+}
+
+function specFor(Model) {
+    const spec = SPECS[Model.modelName];
+    if (!spec) throw new Error(`No query spec for model ${Model.modelName}`);
+    return spec;
+}
+
+// The projection from ?select=, or from ?filter=, the name older clients
+// (database_scripts among them) still use for it.
+function parseSelect(Model, query) {
+    if (query.select !== undefined && query.filter !== undefined) {
+        throw bad('give either select or filter, not both');
+    }
+    const name = query.select === undefined && query.filter !== undefined ? 'filter' : 'select';
+    return checkSelect(specFor(Model), parseJSONParam(name, query[name], {}));
+}
+
+// Parses and validates the list parameters of GET /api/<resource>. Throws an
+// ApiError(400) naming the offending clause.
+function parseListQuery(Model, query) {
+    const spec = specFor(Model);
+    const where = checkWhere(spec, 'where', parseJSONParam('where', query.where, {}), 1);
+    const sort = checkSort(spec, parseJSONParam('sort', query.sort, {}));
+    const select = parseSelect(Model, query);
+    const skip = intParam('skip', query.skip, { min: 0 }) || 0;
+    const limitParam = intParam('limit', query.limit, { min: 1, max: MAX_LIMIT });
+    const count = query.count === 'true';
+    const cursor = typeof query.cursor === 'string' ? checkCursor(spec, query.cursor) : undefined;
+    let limit = limitParam === undefined ? spec.defaultLimit : limitParam;
+    if (limit === null) limit = cursor === undefined ? undefined : MAX_LIMIT;
+    return { where, sort, select, skip, limit, count, cursor };
+}
+
+function isQueryTimeout(err) {
+    return Boolean(err) && (err.code === 50 || err.codeName === 'MaxTimeMSExpired');
+}
+
+module.exports = {
+    MAX_LIMIT,
+    QUERY_MAX_TIME_MS,
+    isValidObjectId,
+    parseListQuery,
+    parseSelect,
+    isQueryTimeout
+};
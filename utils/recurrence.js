@@ -0,0 +1,167 @@
+const { ApiError } = require('./errors');
+
+// RRULE-style recurrence for tasks. A rule is stored normalised as
+// { freq, interval, byDay, byMonthDay, until, count }:
+//   - freq: 'daily' | 'weekly' | 'monthly'
+//   - interval: every n days/weeks/months (default 1)
+//   - byDay: weekly only, weekday codes ['MO', 'WE', ...]
+//   - byMonthDay: monthly only, day of month (clamped to short months)
+//   - until / count: optional end date / total number of occurrences
+// All date arithmetic is in UTC and keeps the deadline's time of day.
+
+const FREQS = ['daily', 'weekly', 'monthly'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_COUNT = 1000;
+
+function bad(message) {
+    return new ApiError(400, 'Bad Request: recurrence ' + message);
+}
+
+function parseRRule(text) {
+    const rule = {};
+    for (const part of text.replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+        const [key, value] = part.split('=');
+        if (!value) throw bad(`part ${part} is not KEY=VALUE`);
+        switch (key.toUpperCase()) {
+        case 'FREQ': rule.freq = value.toLowerCase(); break;
+        case 'INTERVAL': rule.interval = value; break;
+        case 'BYDAY': rule.byDay = value.split(','); break;
+        case 'BYMONTHDAY': rule.byMonthDay = value; break;
+        case 'COUNT': rule.count = value; break;
+        case 'UNTIL':
+            rule.until = value.replace(/^(\d{4})(\d{2})(\d{2})(T(\d{2})(\d{2})(\d{2})Z?)?$/, (m, y, mo, d, t, h, mi, s) =>
+                `${y}-${mo}-${d}T${h || '23'}:${mi || '59'}:${s || '59'}Z`);
+            break;
+        default: throw bad(`part ${key} is not supported`);
+        }
+    }
+    return rule;
+}
+
+function positiveInt(value, name, max) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 1 || (max && n > max)) {
+        throw bad(`${name} must be a whole number from 1${max ? ' to ' + max : ''}`);
+    }
+    return n;
+}
+
+// An empty byDay and a null byMonthDay are unset, as the normalised rule
+// stores them, so a stored rule parses back to itself.
+function isUnset(value) {
+    return value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length);
+}
+
+// Accepts an object or an RRULE string and returns the normalised rule, or
+// null for "no recurrence". `deadline` anchors defaults such as byMonthDay.
+function parseRecurrence(input, deadline) {
+    if (input === null || input === undefined || input === '') return null;
+    const raw = typeof input === 'string' ? parseRRule(input) : input;
+    if (typeof raw !== 'object' || Array.isArray(raw)) throw bad('must be an object or an RRULE string');
+
+    const freq = typeof raw.freq === 'string' ? raw.freq.toLowerCase() : raw.freq;
+    if (!FREQS.includes(freq)) throw bad(`freq must be one of ${FREQS.join(', ')}`);
+
+    const start = new Date(deadline);
+    if (Number.isNaN(start.getTime())) throw bad('needs a valid deadline');
+
+    const rule = {
+        freq,
+        interval: raw.interval === undefined ? 1 : positiveInt(raw.interval, 'interval', 366),
+        byDay: [],
+        byMonthDay: null,
+        until: null,
+        count: null
+    };
+
+    if (!isUnset(raw.byDay)) {
+        if (freq !== 'weekly') throw bad('byDay only applies to weekly rules');
+        const days = (Array.isArray(raw.byDay) ? raw.byDay : String(raw.byDay).split(','))
+            .map(d => String(d).trim().toUpperCase());
+        if (!days.length || !days.every(d => WEEKDAYS.includes(d))) {
+            throw bad(`byDay must list weekdays from ${WEEKDAYS.join(', ')}`);
+        }
+        rule.byDay = [...new Set(days)];
+    }
+
+    if (freq === 'monthly') {
+        rule.byMonthDay = isUnset(raw.byMonthDay)
+            ? start.getUTCDate()
+            : positiveInt(raw.byMonthDay, 'byMonthDay', 31);
+    } else if (!isUnset(raw.byMonthDay)) {
+        throw bad('byMonthDay only applies to monthly rules');
+    }
+
+    if (raw.until !== undefined && raw.until !== null && raw.until !== '') {
+        const until = new Date(raw.until);
+        if (Number.isNaN(until.getTime())) throw bad('until must be a date');
+        if (until < start) throw bad('until is before the deadline');
+        rule.until = until;
+    }
+    if (raw.count !== undefined && raw.count !== null && raw.count !== '') {
+        rule.count = positiveInt(raw.count, 'count', MAX_COUNT);
+    }
+
+    return rule;
+}
+
+function weekStart(date) {
+    const d = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    return d - date.getUTCDay() * DAY_MS;
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function nextDate(rule, from) {
+    const interval = rule.interval || 1;
+
+    if (rule.freq === 'daily') return new Date(from.getTime() + interval * DAY_MS);
+
+    if (rule.freq === 'weekly') {
+        if (!rule.byDay || !rule.byDay.length) return new Date(from.getTime() + 7 * interval * DAY_MS);
+        const fromWeek = weekStart(from);
+        for (let i = 1; i <= 7 * interval + 7; i++) {
+            const candidate = new Date(from.getTime() + i * DAY_MS);
+            const weeks = Math.round((weekStart(candidate) - fromWeek) / (7 * DAY_MS));
+            if (weeks % interval === 0 && rule.byDay.includes(WEEKDAYS[candidate.getUTCDay()])) return candidate;
+        }
+        return null;
+    }
+
+    const month = from.getUTCMonth() + interval;
+    const year = from.getUTCFullYear() + Math.floor(month / 12);
+    const m = month % 12;
+    const day = Math.min(rule.byMonthDay || from.getUTCDate(), daysInMonth(year, m));
+    return new Date(Date.UTC(year, m, day, from.getUTCHours(), from.getUTCMinutes(),
+        from.getUTCSeconds(), from.getUTCMilliseconds()));
+}
+
+// Deadline of the occurrence after the one due at `deadline` (which is
+// occurrence number `occurrence` of its series), or null once the rule ends.
+function nextOccurrence(rule, deadline, occurrence) {
+    if (!rule) return null;
+    if (rule.count && occurrence >= rule.count) return null;
+    const next = nextDate(rule, new Date(deadline));
+    if (!next || (rule.until && next > new Date(rule.until))) return null;
+    return next;
+}
+
+// Up to `limit` upcoming occurrences after the given one.
+function upcomingOccurrences(rule, deadline, occurrence, limit) {
+    const result = [];
+    let current = new Date(deadline);
+    let n = occurrence;
+    while (result.length < limit) {
+        const next = nextOccurrence(rule, current, n);
+        if (!next) break;
+        n += 1;
+        result.push({ occurrence: n, deadline: next });
+        current = next;
+    }
+    return result;
+}
+
+module.exports = { parseRecurrence, nextOccurrence, upcomingOccurrences };
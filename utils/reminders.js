@@ -0,0 +1,170 @@
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+
+// Records deadline reminders for open tasks, run on a timer inside the server
+// process. Each run looks at the open, unarchived tasks that have reached a
+// new stage since the last one (Task.reminded) and records:
+//   - due-soon: for its assignee, once it is due within REMINDER_LEAD_HOURS
+//     (default 24)
+//   - overdue: for its assignee, once its deadline has passed
+//   - escalation: for the admin whose email is ESCALATION_ADMIN_EMAIL, once
+//     it is still open ESCALATION_GRACE_HOURS (default 24) past its deadline,
+//     assigned or not
+// Notifications are keyed by user, task, kind and deadline (see
+// models/Notification.js), so runs can overlap or repeat without recording
+// anything twice. Moving the deadline or reassigning a task starts over. The
+// time comes from a clock passed to start(), and runReminders(now) can be
+// called directly with any moment.
+
+const HOUR_MS = 60 * 60 * 1000;
+const LEAD_MS = (parseFloat(process.env.REMINDER_LEAD_HOURS) || 24) * HOUR_MS;
+const GRACE_MS = (parseFloat(process.env.ESCALATION_GRACE_HOURS) || 24) * HOUR_MS;
+const INTERVAL_MS = parseInt(process.env.REMINDER_INTERVAL_MS, 10) || 5 * 60 * 1000;
+const ESCALATION_EMAIL = (process.env.ESCALATION_ADMIN_EMAIL || '').trim().toLowerCase();
+const BATCH_SIZE = 500;
+
+let timer = null;
+let running = false;
+
+function systemClock() {
+    return new Date();
+}
+
+function notification(user, kind, task, message) {
+    return {
+        user,
+        kind,
+        task: task._id.toString(),
+        taskName: task.name,
+        deadline: task.deadline,
+        assignedUser: task.assignedUser || '',
+        assignedUserName: task.assignedUser ? task.assignedUserName : 'unassigned',
+        message
+    };
+}
+
+function describe(kind, task, now) {
+    const hours = Math.round(Math.abs(task.deadline - now) / HOUR_MS);
+    if (kind === 'due-soon') return `"${task.name}" is due in ${hours} hour${hours === 1 ? '' : 's'}`;
+    const late = `"${task.name}" is ${hours} hour${hours === 1 ? '' : 's'} overdue`;
+    return kind === 'overdue' ? late : `${late} (${task.assignedUser ? `assigned to ${task.assignedUserName}` : 'unassigned'})`;
+}
+
+// Inserts the notifications that do not exist yet and returns how many that
+// was. A duplicate key means an overlapping run recorded one first.
+async function record(notifications, now) {
+    if (!notifications.length) return 0;
+    const ops = notifications.map(n => ({
+        updateOne: {
+            filter: { user: n.user, task: n.task, kind: n.kind, deadline: n.deadline },
+            update: { $setOnInsert: Object.assign({ dateCreated: now }, n) },
+            upsert: true
+        }
+    }));
+    try {
+        const result = await Notification.bulkWrite(ops, { ordered: false });
+        return result.upsertedCount;
+    } catch (err) {
+        const errors = err.writeErrors || [];
+        if (!errors.length || errors.some(e => e.code !== 11000)) throw err;
+        return err.result ? err.result.nUpserted : 0;
+    }
+}
+
+// The admin escalations go to, or null when none is configured or found.
+async function escalationAdmin() {
+    if (!ESCALATION_EMAIL) return null;
+    const admin = await User.findOne({ email: ESCALATION_EMAIL, role: 'admin' }).select({ _id: 1 }).lean();
+    return admin ? admin._id.toString() : null;
+}
+
+// Tasks past a stage they have not been reminded of: anything due within the
+// lead time that has no reminder yet, due-soon ones now overdue and, when
+// there is an admin to tell, overdue ones now past the grace period.
+function dueFilter(now, admin) {
+    const stages = [
+        { reminded: { $in: ['', null] }, deadline: { $lte: new Date(now.getTime() + LEAD_MS) } },
+        { reminded: 'due-soon', deadline: { $lte: now } }
+    ];
+    if (admin) stages.push({ reminded: 'overdue', deadline: { $lte: new Date(now.getTime() - GRACE_MS) } });
+    return { completed: false, archived: { $ne: true }, $or: stages };
+}
+
+function stageOf(task, now, admin) {
+    if (task.deadline > now) return 'due-soon';
+    return admin && task.deadline.getTime() + GRACE_MS <= now.getTime() ? 'escalation' : 'overdue';
+}
+
+// Marks the tasks as reminded up to `stage`, unless their deadline or
+// assignee changed since they were read. bulkWrite skips the model's update
+// hooks, so this does not count as a new version of the task.
+function markReminded(marks) {
+    if (!marks.length) return null;
+    return Task.bulkWrite(marks.map(({ task, stage }) => ({
+        updateOne: {
+            filter: { _id: task._id, deadline: task.deadline, assignedUser: task.assignedUser, completed: false },
+            update: { $set: { reminded: stage } }
+        }
+    })), { ordered: false });
+}
+
+// One pass over the open tasks that reached a new stage. Returns how many
+// notifications were recorded.
+async function runReminders(now = systemClock()) {
+    const admin = await escalationAdmin();
+    const cursor = Task.find(dueFilter(now, admin))
+        .select({ name: 1, deadline: 1, assignedUser: 1, assignedUserName: 1 }).lean().cursor({ batchSize: BATCH_SIZE });
+
+    let recorded = 0;
+    let batch = [];
+    let marks = [];
+    const flush = async () => {
+        recorded += await record(batch, now);
+        await markReminded(marks);
+        batch = [];
+        marks = [];
+    };
+    for await (const task of cursor) {
+        if (task.assignedUser) {
+            const kind = task.deadline <= now ? 'overdue' : 'due-soon';
+            batch.push(notification(task.assignedUser, kind, task, describe(kind, task, now)));
+        }
+        if (admin && task.deadline.getTime() + GRACE_MS <= now.getTime()) {
+            batch.push(notification(admin, 'escalation', task, describe('escalation', task, now)));
+        }
+        marks.push({ task, stage: stageOf(task, now, admin) });
+        if (marks.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+    return recorded;
+}
+
+function logError(err) {
+    console.error('Reminders error:', err.message);
+}
+
+// Runs every REMINDER_INTERVAL_MS (default 5 minutes), reading the time from
+// `clock`. A run still going when the next is due is not doubled up. A
+// misconfigured ESCALATION_ADMIN_EMAIL is reported once, here.
+function start(clock = systemClock) {
+    if (timer) return;
+    if (ESCALATION_EMAIL) {
+        escalationAdmin().then(admin => {
+            if (!admin) console.warn(`Reminders: ESCALATION_ADMIN_EMAIL ${ESCALATION_EMAIL} is not an admin; skipping escalations`);
+        }, logError);
+    }
+    timer = setInterval(() => {
+        if (running) return;
+        running = true;
+        runReminders(clock()).catch(logError).finally(() => { running = false; });
+    }, INTERVAL_MS);
+    timer.unref();
+}
+
+function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+}
+
+module.exports = { runReminders, start, stop };
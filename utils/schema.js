@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+
+// A validator for the part of JSON Schema (2020-12, as used by OpenAPI 3.1)
+// that utils/openapi.js needs: $ref into components, type (one or a list),
+// enum, const, anyOf, string length/pattern/format, number bounds, array
+// items/length and object properties/required/additionalProperties.
+//
+// validate(schema, value, options) returns a list of { field, message }, empty
+// when the value is valid. `field` is a path such as "recurrence.freq" or
+// "operations[2].op". With `coerce: true` (query strings and form bodies)
+// strings count as the numbers and booleans they spell, and a single value
+// counts as a one-item array.
+
+const castDate = mongoose.Schema.Types.Date.cast();
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+// Format checks. `date` accepts whatever Mongoose would store in a Date
+// field, so it agrees with the models; `date-time` is the ISO form Dates are
+// sent back in.
+const FORMATS = {
+    date(value) {
+        try { return castDate(value) instanceof Date; }
+        catch { return false; }
+    },
+    'date-time'(value) {
+        return typeof value === 'string' && !Number.isNaN(Date.parse(value)) && /^\d{4}-\d\d-\d\dT/.test(value);
+    },
+    objectid(value) {
+        return typeof value === 'string' && OBJECT_ID.test(value);
+    },
+    json(value) {
+        try { JSON.parse(value); return true; }
+        catch { return false; }
+    },
+    uri(value) {
+        try { return Boolean(new URL(value)); }
+        catch { return false; }
+    }
+};
+
+const FORMAT_MESSAGES = {
+    date: 'must be a date',
+    'date-time': 'must be an ISO 8601 date-time',
+    objectid: 'must be a valid id',
+    json: 'must be valid JSON',
+    uri: 'must be a URL'
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function coerceScalar(value, types) {
+    if (typeof value !== 'string') return value;
+    if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+        const n = Number(value);
+        if (types.includes('number') || Number.isInteger(n)) return n;
+    }
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) return value === 'true';
+    return value;
+}
+
+function join(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+function describe(types) {
+    const names = types.map(t => ({ integer: 'a whole number', array: 'an array', object: 'an object', null: 'null' }[t] || `a ${t}`));
+    return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0];
+}
+
+function resolve(schema, root) {
+    while (schema && schema.$ref) {
+        const name = schema.$ref.replace('#/components/schemas/', '');
+        const target = root.components && root.components.schemas[name];
+        if (!target) throw new Error(`Unknown schema ${schema.$ref}`);
+        schema = target;
+    }
+    return schema;
+}
+
+function check(schema, value, path, ctx, errors) {
+    schema = resolve(schema, ctx.root);
+    if (!schema || schema === true) return;
+    const fail = message => errors.push({ field: path || '(body)', message });
+
+    if (schema.anyOf) {
+        const attempts = schema.anyOf.map(s => {
+            const found = [];
+            check(s, value, path, ctx, found);
+            return found;
+        });
+        if (attempts.some(a => !a.length)) return;
+        // Report against an alternative of the value's type if there is one,
+        // the one with fewest problems otherwise.
+        const sameType = attempts.filter((a, i) => {
+            const types = [].concat(resolve(schema.anyOf[i], ctx.root).type || []);
+            return types.some(t => matchesType(value, t));
+        });
+        errors.push(...(sameType.length ? sameType : attempts).reduce((best, a) => (a.length < best.length ? a : best)));
+        return;
+    }
+
+    const types = schema.type === undefined ? [] : [].concat(schema.type);
+    if (ctx.coerce && types.length) {
+        if (types.includes('array') && !Array.isArray(value) && value !== undefined) value = [value];
+        else value = coerceScalar(value, types);
+    }
+    if (types.length && !types.some(t => matchesType(value, t))) return fail(`must be ${describe(types)}`);
+
+    if (schema.const !== undefined && value !== schema.const) return fail(`must be ${JSON.stringify(schema.const)}`);
+    if (schema.enum && !schema.enum.includes(value)) return fail(`must be one of ${schema.enum.join(', ')}`);
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            return fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) return fail(`must be at most ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) return fail(schema['x-pattern-message'] || `must match ${schema.pattern}`);
+    }
+    if (schema.format && FORMATS[schema.format] && value !== null && !FORMATS[schema.format](value)) {
+        return fail(FORMAT_MESSAGES[schema.format]);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) return fail(`must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be at most ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) return fail(`must have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) return fail(`must have at most ${schema.maxItems} items`);
+        if (schema.items) value.forEach((item, i) => check(schema.items, item, join(path, i), ctx, errors));
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push({ field: join(path, key), message: 'is required' });
+        });
+        const properties = schema.properties || {};
+        Object.keys(value).forEach(key => {
+            if (value[key] === undefined) return;
+            if (properties[key]) check(properties[key], value[key], join(path, key), ctx, errors);
+            else if (schema.additionalProperties === false) errors.push({ field: join(path, key), message: 'is not allowed' });
+            else if (typeof schema.additionalProperties === 'object') check(schema.additionalProperties, value[key], join(path, key), ctx, errors);
+        });
+    }
+}
+
+function validate(schema, value, { root = {}, coerce = false, path = '' } = {}) {
+    const errors = [];
+    check(schema, value, path, { root, coerce }, errors);
+    return errors;
+}
+
+module.exports = { validate, FORMATS };
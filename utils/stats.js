@@ -0,0 +1,279 @@
+const Task = require('../models/Task');
+const { ApiError } = require('./errors');
+const { isValidObjectId, QUERY_MAX_TIME_MS } = require('./query');
+
+// Aggregation pipelines behind /api/stats. Every report takes the same
+// scope (?user=, ?project=) and, where it covers a period, ?from=/?to=.
+// Archived tasks are never counted. Completion times come from completedAt,
+// so tasks completed before it was recorded only count towards totals. A
+// completion rate is the share of the tasks created in the period (or
+// bucket) that are completed now, so it never exceeds 1.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const INTERVALS = { day: { maxBuckets: 366 }, week: { maxBuckets: 260 } };
+const HOUR_MS = 60 * 60 * 1000;
+
+function bad(message) {
+    return new ApiError(400, 'Bad Request: ' + message);
+}
+
+function dateParam(name, value, fallback) {
+    if (value === undefined || value === '') return fallback;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) throw bad(`${name} must be a date`);
+    return date;
+}
+
+// Reads ?user=, ?project=, ?from=, ?to= and ?interval=. The period defaults
+// to the last 30 days.
+function parseScope(query, now = new Date()) {
+    const match = { archived: { $ne: true } };
+    if (query.user !== undefined) {
+        if (query.user !== '' && !isValidObjectId(query.user)) throw bad('user is not a valid id');
+        match.assignedUser = query.user;
+    }
+    if (query.project !== undefined) {
+        if (!isValidObjectId(query.project)) throw bad('project is not a valid id');
+        match.project = query.project;
+    }
+
+    const to = dateParam('to', query.to, now);
+    const from = dateParam('from', query.from, new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS));
+    if (from >= to) throw bad('from must be before to');
+
+    const interval = query.interval === undefined ? 'day' : query.interval;
+    if (!INTERVALS[interval]) throw bad(`interval must be one of ${Object.keys(INTERVALS).join(', ')}`);
+
+    return { match, from, to, interval, now };
+}
+
+// Bucket labels as produced by bucketExpr: "2025-03-14" or ISO weeks
+// ("2025-W11").
+function bucketLabel(date, interval) {
+    if (interval === 'day') return date.toISOString().slice(0, 10);
+    const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    const day = d.getUTCDay() || 7;
+    d.setUTCDate(d.getUTCDate() + 4 - day);
+    const yearStart = Date.UTC(d.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((d - yearStart) / DAY_MS + 1) / 7);
+    return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+function bucketExpr(field, interval) {
+    return { $dateToString: { format: interval === 'day' ? '%Y-%m-%d' : '%G-W%V', date: field } };
+}
+
+// Every bucket label from `from` up to (not including) `to`, in order.
+function bucketLabels(from, to, interval) {
+    const labels = [];
+    const step = interval === 'day' ? DAY_MS : 7 * DAY_MS;
+    const last = to.getTime() - 1;
+    for (let t = from.getTime(); t <= last + step; t += step) {
+        const label = bucketLabel(new Date(Math.min(t, last)), interval);
+        if (labels[labels.length - 1] !== label) labels.push(label);
+        if (labels.length > INTERVALS[interval].maxBuckets) throw bad(`the period has more than ${INTERVALS[interval].maxBuckets} ${interval}s`);
+    }
+    return labels;
+}
+
+function aggregate(pipeline) {
+    return Task.aggregate(pipeline).option({ maxTimeMS: QUERY_MAX_TIME_MS });
+}
+
+function hours(ms) {
+    return ms === null || ms === undefined ? null : Math.round((ms / HOUR_MS) * 10) / 10;
+}
+
+function rate(part, whole) {
+    return whole ? Math.round((part / whole) * 1000) / 1000 : null;
+}
+
+const cycleTime = { $subtract: ['$completedAt', '$dateCreated'] };
+const completedNow = { $cond: ['$completed', 1, 0] };
+
+// Current open/overdue counts plus what was created and completed in the
+// period, the completion rate and the average time to completion.
+async function overview({ match, from, to, now }) {
+    const [result] = await aggregate([
+        { $match: match },
+        {
+            $facet: {
+                current: [{
+                    $group: {
+                        _id: null,
+                        total: { $sum: 1 },
+                        open: { $sum: { $cond: ['$completed', 0, 1] } },
+                        overdue: { $sum: { $cond: [{ $and: [{ $not: ['$completed'] }, { $lt: ['$deadline', now] }] }, 1, 0] } }
+                    }
+                }],
+                created: [
+                    { $match: { dateCreated: { $gte: from, $lt: to } } },
+                    { $group: { _id: null, n: { $sum: 1 }, completed: { $sum: completedNow } } }
+                ],
+                completed: [
+                    { $match: { completed: true, completedAt: { $gte: from, $lt: to } } },
+                    {
+                        $group: {
+                            _id: null,
+                            n: { $sum: 1 },
+                            onTime: { $sum: { $cond: [{ $lte: ['$completedAt', '$deadline'] }, 1, 0] } },
+                            avgMs: { $avg: cycleTime }
+                        }
+                    }
+                ]
+            }
+        }
+    ]);
+
+    const current = result.current[0] || { total: 0, open: 0, overdue: 0 };
+    const created = result.created[0] || { n: 0, completed: 0 };
+    const completed = result.completed[0] || { n: 0, onTime: 0, avgMs: null };
+    return {
+        from, to,
+        total: current.total,
+        open: current.open,
+        overdue: current.overdue,
+        created: created.n,
+        completed: completed.n,
+        completedOnTime: completed.onTime,
+        completionRate: rate(created.completed, created.n),
+        avgHoursToComplete: hours(completed.avgMs)
+    };
+}
+
+// The same figures per assignee ('' is unassigned), busiest first. The name
+// is the one on the assignee's newest task.
+async function byUser({ match, from, to, now }) {
+    const createdInPeriod = { $and: [{ $gte: ['$dateCreated', from] }, { $lt: ['$dateCreated', to] }] };
+    const rows = await aggregate([
+        { $match: match },
+        { $sort: { dateCreated: -1, _id: -1 } },
+        {
+            $group: {
+                _id: '$assignedUser',
+                name: { $first: '$assignedUserName' },
+                open: { $sum: { $cond: ['$completed', 0, 1] } },
+                overdue: { $sum: { $cond: [{ $and: [{ $not: ['$completed'] }, { $lt: ['$deadline', now] }] }, 1, 0] } },
+                created: { $sum: { $cond: [createdInPeriod, 1, 0] } },
+                createdCompleted: { $sum: { $cond: [{ $and: [createdInPeriod, '$completed'] }, 1, 0] } },
+                completed: {
+                    $sum: { $cond: [{ $and: ['$completed', { $gte: ['$completedAt', from] }, { $lt: ['$completedAt', to] }] }, 1, 0] }
+                },
+                avgMs: {
+                    $avg: { $cond: [{ $and: ['$completed', { $gte: ['$completedAt', from] }, { $lt: ['$completedAt', to] }] }, cycleTime, null] }
+                }
+            }
+        },
+        { $sort: { open: -1, _id: 1 } }
+    ]);
+
+    return rows.map(r => ({
+        user: r._id || '',
+        name: r._id ? r.name : 'unassigned',
+        open: r.open,
+        overdue: r.overdue,
+        created: r.created,
+        completed: r.completed,
+        completionRate: rate(r.createdCompleted, r.created),
+        avgHoursToComplete: hours(r.avgMs)
+    }));
+}
+
+function countBy(field, interval, extra = {}) {
+    return [
+        { $match: Object.assign({ [field]: extra.range }, extra.match || {}) },
+        {
+            $group: {
+                _id: bucketExpr('$' + field, interval),
+                n: { $sum: 1 },
+                completed: { $sum: completedNow },
+                avgMs: { $avg: field === 'completedAt' ? cycleTime : null }
+            }
+        }
+    ];
+}
+
+// Created and completed counts per day or ISO week, with each bucket's
+// completion rate and average time to completion.
+async function completions({ match, from, to, interval }) {
+    const labels = bucketLabels(from, to, interval);
+    const range = { $gte: from, $lt: to };
+    const [result] = await aggregate([
+        { $match: match },
+        {
+            $facet: {
+                created: countBy('dateCreated', interval, { range }),
+                completed: countBy('completedAt', interval, { range, match: { completed: true } })
+            }
+        }
+    ]);
+
+    const created = new Map(result.created.map(b => [b._id, b]));
+    const completed = new Map(result.completed.map(b => [b._id, b]));
+    return labels.map(bucket => {
+        const made = created.get(bucket) || { n: 0, completed: 0 };
+        const c = completed.get(bucket);
+        return {
+            bucket,
+            created: made.n,
+            completed: c ? c.n : 0,
+            completionRate: rate(made.completed, made.n),
+            avgHoursToComplete: hours(c ? c.avgMs : null)
+        };
+    });
+}
+
+// Open tasks remaining at the end of each bucket: those open at `from`, plus
+// what was created, minus what was completed since.
+async function burndown({ match, from, to, interval }) {
+    const labels = bucketLabels(from, to, interval);
+    const range = { $gte: from, $lt: to };
+    const [result] = await aggregate([
+        { $match: match },
+        {
+            $facet: {
+                start: [
+                    {
+                        $match: {
+                            dateCreated: { $lt: from },
+                            $or: [{ completed: false }, { completedAt: { $gte: from } }]
+                        }
+                    },
+                    { $count: 'n' }
+                ],
+                created: countBy('dateCreated', interval, { range }),
+                completed: countBy('completedAt', interval, { range, match: { completed: true } })
+            }
+        }
+    ]);
+
+    const created = new Map(result.created.map(b => [b._id, b.n]));
+    const completed = new Map(result.completed.map(b => [b._id, b.n]));
+    let remaining = result.start[0] ? result.start[0].n : 0;
+    const series = labels.map(bucket => {
+        const added = created.get(bucket) || 0;
+        const done = completed.get(bucket) || 0;
+        remaining += added - done;
+        return { bucket, created: added, completed: done, remaining };
+    });
+    return { openAtStart: result.start[0] ? result.start[0].n : 0, series };
+}
+
+// Open tasks past their deadline, most overdue first.
+async function overdue({ match, now }, limit) {
+    const tasks = await aggregate([
+        { $match: Object.assign({}, match, { completed: false, deadline: { $lt: now } }) },
+        { $sort: { deadline: 1, _id: 1 } },
+        { $limit: limit },
+        {
+            $project: {
+                name: 1, deadline: 1, assignedUser: 1, assignedUserName: 1, project: 1,
+                daysOverdue: { $floor: { $divide: [{ $subtract: [now, '$deadline'] }, DAY_MS] } }
+            }
+        }
+    ]);
+    return tasks;
+}
+
+module.exports = { parseScope, bucketLabel, overview, byUser, completions, burndown, overdue };
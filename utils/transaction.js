@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const afterCommitHooks = new WeakMap();
+
+// Runs fn(session) inside a MongoDB transaction. Anything fn throws (including
+// an ApiError for a failed validation) aborts the transaction, so none of the
+// writes made so far are kept. The driver may retry fn on transient errors, so
+// fn must re-read whatever it needs through the session.
+async function withTransaction(fn) {
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            afterCommitHooks.set(session, []);
+            result = await fn(session);
+        });
+
+        for (const hook of afterCommitHooks.get(session) || []) {
+            try { hook(); }
+            catch (err) { console.error('afterCommit hook failed:', err.message); }
+        }
+        return result;
+    } finally {
+        afterCommitHooks.delete(session);
+        session.endSession();
+    }
+}
+
+// Defers hook until the surrounding transaction has committed; it is dropped
+// if the transaction aborts or is retried. Without a transaction it runs now.
+function afterCommit(session, hook) {
+    const hooks = session && afterCommitHooks.get(session);
+    if (hooks) hooks.push(hook);
+    else hook();
+}
+
+module.exports = { withTransaction, afterCommit };
@@ -0,0 +1,438 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const { ApiError } = require('./errors');
+const { csvRow, parseCsv } = require('./csv');
+const { recordChange, updateAudited, snapshot } = require('./audit');
+const { parseRecurrence } = require('./recurrence');
+
+// Record format shared by GET /api/export and POST /api/import. Users,
+// projects and tasks travel in one file, in that order, one record per row
+// with a `type` column. Users are referred to by email (`assignedUserEmail`,
+// `memberEmails`); projects and tasks by the `_id` of their row in the file
+// (`project`, `parent`, `blockedBy`). Either way the relationships survive the
+// move to a database where every _id is new. In CSV, lists are separated by
+// spaces and `recurrence` is a JSON object (or an RRULE string).
+
+const COLUMNS = ['type', '_id', 'name', 'email', 'role', 'dateCreated',
+    'description', 'memberEmails', 'deadline', 'completed', 'completedAt', 'assignedUserEmail',
+    'project', 'parent', 'blockedBy', 'recurrence', 'archived'];
+const FORMATS = ['csv', 'ndjson'];
+const MAX_IMPORT_ROWS = 5000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+function userRecord(user) {
+    return {
+        type: 'user',
+        _id: String(user._id),
+        name: user.name,
+        email: user.email,
+        role: user.role || 'user',
+        dateCreated: user.dateCreated
+    };
+}
+
+function projectRecord(project, emailById) {
+    return {
+        type: 'project',
+        _id: String(project._id),
+        name: project.name,
+        description: project.description || '',
+        memberEmails: (project.members || []).map(id => emailById.get(String(id))).filter(Boolean),
+        dateCreated: project.dateCreated
+    };
+}
+
+// `refs` holds the emails of the exported users and the ids of the exported
+// projects and tasks; references to anything else (a project or task in the
+// trash, say) are left out, so the file always imports.
+function taskRecord(task, refs) {
+    const { emailById, projectIds, taskIds } = refs;
+    return {
+        type: 'task',
+        _id: String(task._id),
+        name: task.name,
+        description: task.description || '',
+        deadline: task.deadline,
+        completed: Boolean(task.completed),
+        completedAt: task.completedAt || null,
+        assignedUserEmail: (task.assignedUser && emailById.get(String(task.assignedUser))) || '',
+        project: projectIds.has(task.project) ? task.project : '',
+        parent: taskIds.has(task.parent) ? task.parent : '',
+        blockedBy: (task.blockedBy || []).filter(id => taskIds.has(id)),
+        recurrence: task.recurrence || null,
+        archived: Boolean(task.archived),
+        dateCreated: task.dateCreated
+    };
+}
+
+function csvValue(value) {
+    if (Array.isArray(value)) return value.join(' ');
+    if (value && typeof value === 'object' && !(value instanceof Date)) return JSON.stringify(value);
+    return value;
+}
+
+function serialize(record, format) {
+    if (format === 'csv') return csvRow(COLUMNS.map(c => csvValue(record[c])));
+    return JSON.stringify(record) + '\n';
+}
+
+function header(format) {
+    return format === 'csv' ? csvRow(COLUMNS) : '';
+}
+
+// Splits an import body into [{ row, record }], `row` being the line it
+// starts on. Rows that cannot be read at all come back with an `error`.
+function parseRecords(text, format) {
+    if (format === 'ndjson') {
+        return text.split(/\r?\n/).map((line, i) => ({ row: i + 1, line: line.trim() }))
+            .filter(r => r.line)
+            .map(({ row, line }) => {
+                try {
+                    const record = JSON.parse(line);
+                    if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+                        return { row, error: 'expected a JSON object' };
+                    }
+                    return { row, record };
+                } catch {
+                    return { row, error: 'invalid JSON' };
+                }
+            });
+    }
+
+    let rows;
+    try { rows = parseCsv(text); }
+    catch (err) { throw new ApiError(400, 'Bad Request: ' + err.message); }
+    if (!rows.length) return [];
+
+    const columns = rows[0].values.map(c => c.trim());
+    const unknown = columns.filter(c => !COLUMNS.includes(c));
+    if (!columns.includes('type')) throw new ApiError(400, 'Bad Request: the CSV header needs a type column');
+    if (unknown.length) throw new ApiError(400, `Bad Request: unknown CSV columns ${unknown.join(', ')}`);
+
+    return rows.slice(1).map(({ line, values }) => {
+        if (values.length !== columns.length) {
+            return { row: line, error: `expected ${columns.length} fields, got ${values.length}` };
+        }
+        const record = {};
+        columns.forEach((c, i) => { if (values[i] !== '') record[c] = values[i]; });
+        return { row: line, record };
+    });
+}
+
+function text(value) {
+    return typeof value === 'string' ? value.trim() : (typeof value === 'number' ? String(value) : '');
+}
+
+function optionalDate(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function parseBoolean(value) {
+    if (value === undefined || value === null || value === '' || value === false || value === 'false') return false;
+    if (value === true || value === 'true') return true;
+    return null;
+}
+
+// A list from an NDJSON array or a space-separated CSV field; null when it is
+// neither.
+function parseList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    if (Array.isArray(value)) return value.every(v => typeof v === 'string') ? value.map(v => v.trim()).filter(Boolean) : null;
+    return typeof value === 'string' ? value.split(/\s+/).filter(Boolean) : null;
+}
+
+// The normalised rule (see utils/recurrence.js), or null for none.
+function checkRecurrence(value, deadline, fail) {
+    if (value === undefined || value === null || value === '') return null;
+    let input = value;
+    if (typeof value === 'string' && value.trim().startsWith('{')) {
+        try { input = JSON.parse(value); }
+        catch { fail('recurrence', 'recurrence is not valid JSON'); return null; }
+    }
+    if (!deadline) return null;
+    try {
+        return parseRecurrence(input, deadline);
+    } catch (err) {
+        fail('recurrence', err.message.replace(/^Bad Request: /, ''));
+        return null;
+    }
+}
+
+function checkUser(record, fail) {
+    const name = text(record.name);
+    const email = text(record.email).toLowerCase();
+    const role = text(record.role) || 'user';
+    const dateCreated = optionalDate(record.dateCreated);
+
+    if (!name) fail('name', 'name is required');
+    if (!email) fail('email', 'email is required');
+    else if (!EMAIL_PATTERN.test(email)) fail('email', 'email is not a valid address');
+    if (!['user', 'admin'].includes(role)) fail('role', 'role must be user or admin');
+    if (dateCreated === null) fail('dateCreated', 'dateCreated is not a valid date');
+
+    return { name, email, role, dateCreated };
+}
+
+function checkProject(record, fail) {
+    const name = text(record.name);
+    const description = typeof record.description === 'string' ? record.description : '';
+    const memberEmails = parseList(record.memberEmails);
+    const dateCreated = optionalDate(record.dateCreated);
+
+    if (!name) fail('name', 'name is required');
+    if (!memberEmails) fail('memberEmails', 'memberEmails must be a list of emails');
+    if (dateCreated === null) fail('dateCreated', 'dateCreated is not a valid date');
+
+    return { _id: text(record._id), name, description, memberEmails: [...new Set((memberEmails || []).map(e => e.toLowerCase()))], dateCreated };
+}
+
+function checkTask(record, fail) {
+    const name = text(record.name);
+    const deadline = optionalDate(record.deadline);
+    const completed = parseBoolean(record.completed);
+    const dateCreated = optionalDate(record.dateCreated);
+    const completedAt = optionalDate(record.completedAt);
+    const description = typeof record.description === 'string' ? record.description : '';
+    const assignedUserEmail = text(record.assignedUserEmail).toLowerCase();
+    const project = text(record.project);
+    const parent = text(record.parent);
+    const blockedBy = parseList(record.blockedBy);
+    const archived = parseBoolean(record.archived);
+    const recurrence = checkRecurrence(record.recurrence, deadline, fail);
+
+    if (!name) fail('name', 'name is required');
+    if (!deadline) fail('deadline', deadline === null ? 'deadline is not a valid date' : 'deadline is required');
+    if (completed === null) fail('completed', 'completed must be true or false');
+    if (dateCreated === null) fail('dateCreated', 'dateCreated is not a valid date');
+    if (completedAt === null) fail('completedAt', 'completedAt is not a valid date');
+    if (!blockedBy) fail('blockedBy', 'blockedBy must be a list of task _ids');
+    if (archived === null) fail('archived', 'archived must be true or false');
+
+    return {
+        _id: text(record._id), name, description, deadline, completed, completedAt, dateCreated, assignedUserEmail,
+        project, parent, blockedBy: [...new Set(blockedBy || [])], recurrence, archived
+    };
+}
+
+// Rows that close a cycle when following `next` (the parent, or the
+// blockers) through the tasks of the file.
+function cycleRows(tasks, next) {
+    const byId = new Map(tasks.filter(t => t._id).map(t => [t._id, t]));
+    const state = new Map();
+    const rows = [];
+    const visit = (task) => {
+        state.set(task, 'open');
+        for (const id of next(task)) {
+            const target = byId.get(id);
+            if (!target) continue;
+            if (state.get(target) === 'open') rows.push(task.row);
+            else if (!state.has(target)) visit(target);
+        }
+        state.set(task, 'done');
+    };
+    tasks.forEach(t => { if (!state.has(t)) visit(t); });
+    return new Set(rows);
+}
+
+// Validates every row against the file and the database without writing
+// anything. Users whose email already exists are skipped (and their tasks
+// are assigned to the existing account); a repeated email or _id inside the
+// file is an error. Project and task references must name rows of the file,
+// assignees must be members of the task's project, and neither subtasks nor
+// blockers may form a cycle. Returns { report, users, projects, tasks } where
+// users/projects/tasks are the rows to create.
+async function planImport(parsed, session = null) {
+    const errors = [];
+    const skipped = [];
+    const users = [];
+    const projects = [];
+    const tasks = [];
+
+    parsed.filter(p => p.error).forEach(p => errors.push({ row: p.row, field: null, message: p.error }));
+    const records = parsed.filter(p => p.record);
+
+    const emailsOf = (type, field) => records.filter(p => p.record.type === type)
+        .map(p => p.record[field]).reduce((all, value) => all.concat(parseList(value) || []), [])
+        .map(e => e.toLowerCase());
+    const emails = emailsOf('user', 'email').concat(emailsOf('task', 'assignedUserEmail'), emailsOf('project', 'memberEmails'));
+    const existing = await User.find({ email: { $in: [...new Set(emails)] } }).select({ email: 1, name: 1 }).session(session);
+    const existingByEmail = new Map(existing.map(u => [u.email, u]));
+    const trashed = await User.find({ email: { $in: [...new Set(emails)] }, deletedAt: { $ne: null } })
+        .select({ email: 1 }).session(session);
+    const trashedEmails = new Set(trashed.map(u => u.email));
+    const fileEmails = new Map();
+    const fileIds = { project: new Map(), task: new Map() };
+
+    for (const { row, record } of records) {
+        let valid = true;
+        const fail = (field, message) => { valid = false; errors.push({ row, field, message }); };
+
+        const id = text(record._id);
+        const ids = fileIds[record.type];
+        if (id && ids) {
+            if (ids.has(id)) fail('_id', `_id ${id} already appears on row ${ids.get(id)}`);
+            else ids.set(id, row);
+        }
+
+        if (record.type === 'user') {
+            const user = checkUser(record, fail);
+            if (user.email && fileEmails.has(user.email)) {
+                fail('email', `email ${user.email} already appears on row ${fileEmails.get(user.email)}`);
+            }
+            if (user.email && !fileEmails.has(user.email)) fileEmails.set(user.email, row);
+            if (trashedEmails.has(user.email)) fail('email', `the user with email ${user.email} is in the trash`);
+            if (!valid) continue;
+
+            if (existingByEmail.has(user.email)) {
+                skipped.push({ row, email: user.email, message: 'a user with this email already exists' });
+            } else {
+                users.push(Object.assign({ row }, user));
+            }
+        } else if (record.type === 'project') {
+            projects.push(Object.assign({ row }, checkProject(record, fail), { valid }));
+        } else if (record.type === 'task') {
+            tasks.push(Object.assign({ row }, checkTask(record, fail), { valid }));
+        } else {
+            fail('type', 'type must be user, project or task');
+        }
+    }
+
+    // References are resolved once every row is known, so their order in the
+    // file does not matter.
+    const creatable = new Set(users.map(u => u.email));
+    const knownEmail = email => creatable.has(email) || existingByEmail.has(email);
+    const projectById = new Map(projects.filter(p => p._id).map(p => [p._id, p]));
+    const taskIds = new Set(tasks.filter(t => t._id).map(t => t._id));
+
+    const validProjects = projects.filter(p => {
+        const unknown = p.memberEmails.filter(email => !knownEmail(email));
+        unknown.forEach(email => errors.push({ row: p.row, field: 'memberEmails', message: `no user with email ${email}` }));
+        return p.valid && !unknown.length;
+    });
+
+    const subtaskCycles = cycleRows(tasks, t => (t.parent ? [t.parent] : []));
+    const blockerCycles = cycleRows(tasks, t => t.blockedBy);
+    const validTasks = tasks.filter(t => {
+        let valid = t.valid;
+        const fail = (field, message) => { valid = false; errors.push({ row: t.row, field, message }); };
+        const email = t.assignedUserEmail;
+        const project = t.project && projectById.get(t.project);
+
+        if (email && !knownEmail(email)) fail('assignedUserEmail', `no user with email ${email}`);
+        if (t.project && !project) fail('project', `no project with _id ${t.project} in the file`);
+        if (project && email && !project.memberEmails.includes(email)) {
+            fail('assignedUserEmail', 'the assignee is not a member of the project');
+        }
+        if (t.parent && t.parent === t._id) fail('parent', 'a task cannot be its own parent');
+        else if (t.parent && !taskIds.has(t.parent)) fail('parent', `no task with _id ${t.parent} in the file`);
+        else if (subtaskCycles.has(t.row)) fail('parent', 'parent would create a cycle of subtasks');
+        const missing = t.blockedBy.filter(id => !taskIds.has(id));
+        if (t._id && t.blockedBy.includes(t._id)) fail('blockedBy', 'a task cannot be blocked by itself');
+        else if (missing.length) fail('blockedBy', `no task with _id ${missing[0]} in the file`);
+        else if (blockerCycles.has(t.row)) fail('blockedBy', 'blockedBy would create a dependency cycle');
+        return valid;
+    });
+
+    errors.sort((a, b) => a.row - b.row);
+    const report = {
+        rows: parsed.length,
+        users: { create: users.length, skip: skipped.length },
+        projects: { create: validProjects.length },
+        tasks: { create: validTasks.length },
+        skipped,
+        errors
+    };
+    return { report, users, projects: validProjects, tasks: validTasks, existingByEmail };
+}
+
+// Creates the planned users, projects and tasks inside `session`, maps the
+// file's _ids to the new ones and files every open assigned task under its
+// assignee's pendingTasks.
+async function applyImport(session, req, plan) {
+    const userByEmail = new Map(plan.existingByEmail);
+
+    for (const u of plan.users) {
+        const user = new User({ name: u.name, email: u.email, role: u.role, pendingTasks: [] });
+        if (u.dateCreated) user.dateCreated = u.dateCreated;
+        await user.save({ session });
+        await recordChange(session, req, User, null, snapshot(user));
+        userByEmail.set(u.email, user);
+    }
+
+    const projectIds = new Map();
+    for (const p of plan.projects) {
+        const project = new Project({
+            name: p.name,
+            description: p.description,
+            members: p.memberEmails.map(email => userByEmail.get(email)._id.toString())
+        });
+        if (p.dateCreated) project.dateCreated = p.dateCreated;
+        await project.save({ session });
+        await recordChange(session, req, Project, null, snapshot(project));
+        if (p._id) projectIds.set(p._id, project._id.toString());
+    }
+
+    // Tasks may point at tasks further down the file, so every new id is
+    // known before the first one is saved.
+    const taskIds = new Map(plan.tasks.filter(t => t._id).map(t => [t._id, new mongoose.Types.ObjectId().toString()]));
+    const subtasks = new Map();
+    plan.tasks.filter(t => t.parent).forEach(t => {
+        const counts = subtasks.get(t.parent) || { total: 0, completed: 0 };
+        counts.total += 1;
+        if (t.completed) counts.completed += 1;
+        subtasks.set(t.parent, counts);
+    });
+
+    const pendingByUser = new Map();
+    for (const t of plan.tasks) {
+        const assignee = t.assignedUserEmail ? userByEmail.get(t.assignedUserEmail) : null;
+        const task = new Task({
+            name: t.name,
+            description: t.description,
+            deadline: t.deadline,
+            completed: t.completed,
+            assignedUser: assignee ? assignee._id.toString() : '',
+            assignedUserName: assignee ? assignee.name : 'unassigned',
+            project: t.project ? projectIds.get(t.project) : '',
+            parent: t.parent ? taskIds.get(t.parent) : '',
+            blockedBy: t.blockedBy.map(id => taskIds.get(id)),
+            recurrence: t.recurrence,
+            archived: t.archived,
+            subtasks: (t._id && subtasks.get(t._id)) || { total: 0, completed: 0 }
+        });
+        if (t._id) task._id = taskIds.get(t._id);
+        if (task.recurrence) task.seriesId = task._id.toString();
+        if (t.dateCreated) task.dateCreated = t.dateCreated;
+        if (t.completed && t.completedAt) task.completedAt = t.completedAt;
+        await task.save({ session });
+        await recordChange(session, req, Task, null, snapshot(task));
+
+        if (assignee && !task.completed && !task.archived) {
+            const id = assignee._id.toString();
+            if (!pendingByUser.has(id)) pendingByUser.set(id, []);
+            pendingByUser.get(id).push(task._id.toString());
+        }
+    }
+
+    for (const [userId, taskIds] of pendingByUser) {
+        await updateAudited(session, req, User, { _id: userId }, { $addToSet: { pendingTasks: { $each: taskIds } } });
+    }
+}
+
+module.exports = {
+    COLUMNS,
+    FORMATS,
+    MAX_IMPORT_ROWS,
+    userRecord,
+    projectRecord,
+    taskRecord,
+    serialize,
+    header,
+    parseRecords,
+    planImport,
+    applyImport
+};
@@ -0,0 +1,257 @@
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const Notification = require('../models/Notification');
+const { ApiError } = require('./errors');
+const { withTransaction } = require('./transaction');
+const { recordChange, updateAudited, snapshot } = require('./audit');
+const { checkParent, checkBlockers, refreshSubtasks, detachTask } = require('./dependencies');
+const { checkAssignable } = require('./projects');
+
+// Soft delete for users and tasks. Deleting moves a document to the trash
+// (deletedAt is set, and models/plugins/softDelete.js hides it everywhere),
+// undoing its bookkeeping the way a hard delete would but remembering enough
+// to put it back on restore. Trashed documents are purged for good once they
+// are older than TRASH_RETENTION_DAYS (default 30).
+
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IN_TRASH = { $ne: null };
+
+// Actor recorded in the audit log for the scheduled purge.
+const SYSTEM_REQ = { auth: { type: 'system', role: null, userId: null, keyId: null } };
+
+let purgeTimer = null;
+
+function purgeAt(doc) {
+    return doc.deletedAt ? new Date(new Date(doc.deletedAt).getTime() + RETENTION_DAYS * DAY_MS) : null;
+}
+
+// Loads a trashed task or user by id for restore/purge.
+function findTrashed(session, Model, id) {
+    return Model.findOne({ _id: id, deletedAt: IN_TRASH }).session(session);
+}
+
+// Loads a task or user by id whether or not it is in the trash.
+async function findAny(session, Model, id) {
+    return (await Model.findById(id).session(session)) || findTrashed(session, Model, id);
+}
+
+// The task keeps its assignedUser so a restore can hand it back; it only
+// leaves the assignee's pendingTasks and its parent's subtask counts.
+async function trashTask(session, req, task) {
+    const before = snapshot(task);
+    task.deletedAt = new Date();
+    await task.save({ session });
+    await recordChange(session, req, Task, before, snapshot(task));
+
+    if (task.assignedUser) {
+        await updateAudited(session, req, User, { _id: task.assignedUser }, { $pull: { pendingTasks: task._id.toString() } });
+    }
+    await refreshSubtasks(session, req, task.parent);
+}
+
+// Whether `check` (one of the validators the routes use) passes.
+async function passes(check) {
+    try {
+        await check();
+        return true;
+    } catch (err) {
+        if (err instanceof ApiError) return false;
+        throw err;
+    }
+}
+
+// Puts a task back where it was, minus whatever stopped being valid while it
+// was in the trash, with the same checks as a PUT:
+//   - an assignee who is gone, or no longer a member of the task's project,
+//     is dropped and the task comes back unassigned;
+//   - if the project was deleted, the task is archived like the project's
+//     other tasks were;
+//   - a parent or blockers that were deleted since, or that would now form a
+//     cycle, are dropped.
+async function restoreTask(session, req, task) {
+    const before = snapshot(task);
+    task.deletedAt = null;
+
+    let assignee = task.assignedUser ? await User.findById(task.assignedUser).session(session) : null;
+    if (!(await passes(() => checkAssignable(session, task.project, null)))) {
+        task.archived = true;
+    } else if (assignee && !(await passes(() => checkAssignable(session, task.project, assignee._id)))) {
+        assignee = null;
+    }
+    if (task.assignedUser && !assignee) {
+        task.assignedUser = '';
+        task.assignedUserName = 'unassigned';
+    } else if (assignee) {
+        task.assignedUserName = assignee.name;
+    }
+
+    if (task.parent && !(await passes(() => checkParent(session, task, task.parent)))) task.parent = '';
+    const blockers = [];
+    for (const id of task.blockedBy) {
+        if (await passes(() => checkBlockers(session, task, blockers.concat(id)))) blockers.push(id);
+    }
+    task.blockedBy = blockers;
+
+    await task.save({ session });
+    await recordChange(session, req, Task, before, snapshot(task));
+
+    if (assignee && !task.completed && !task.archived) {
+        await updateAudited(session, req, User, { _id: assignee._id }, { $addToSet: { pendingTasks: task._id.toString() } });
+    }
+    await refreshSubtasks(session, req, task.parent);
+    return task;
+}
+
+// Unassigns the user's tasks and takes them off their projects, like a hard
+// delete, but notes both on the user for restoreUser.
+async function trashUser(session, req, user) {
+    const userId = user._id.toString();
+    const tasks = await Task.find({ assignedUser: userId }).select({ _id: 1 }).session(session).lean();
+    const projects = await Project.find({ members: userId }).select({ _id: 1 }).session(session).lean();
+
+    await updateAudited(
+        session, req, Task,
+        { assignedUser: userId },
+        { $set: { assignedUser: '', assignedUserName: 'unassigned' } },
+        { many: true }
+    );
+    await updateAudited(session, req, Project, { members: userId }, { $pull: { members: userId } }, { many: true });
+
+    const before = snapshot(user);
+    user.trashed = { tasks: tasks.map(t => t._id.toString()), projects: projects.map(p => p._id.toString()) };
+    user.pendingTasks = [];
+    user.deletedAt = new Date();
+    await user.save({ session });
+    await recordChange(session, req, User, before, snapshot(user));
+}
+
+// Brings a user back with their previous assignments and memberships. Tasks
+// that were reassigned, removed or archived since, or whose project is gone,
+// stay as they are and are listed in `notRestored`.
+async function restoreUser(session, req, user) {
+    const userId = user._id.toString();
+    const taken = await User.findOne({ email: user.email, _id: { $ne: user._id } }).session(session);
+    if (taken) throw new ApiError(409, 'Conflict: another user now has this email');
+
+    const trashed = user.trashed || {};
+    const taskIds = trashed.tasks || [];
+    const projectIds = trashed.projects || [];
+
+    // Memberships only come back for projects that still exist, and so do
+    // the tasks filed under them.
+    const projects = await Project.find({ _id: { $in: projectIds } }).select({ _id: 1 }).session(session).lean();
+    const liveProjects = new Set(projects.map(p => p._id.toString()));
+    const reclaimable = (await Task.find({ _id: { $in: taskIds }, assignedUser: '', archived: { $ne: true } }).session(session).lean())
+        .filter(t => !t.project || liveProjects.has(t.project));
+    const reclaimedIds = reclaimable.map(t => t._id.toString());
+    const notRestored = taskIds.filter(id => !reclaimedIds.includes(id));
+
+    const before = snapshot(user);
+    user.deletedAt = null;
+    user.trashed = undefined;
+    user.pendingTasks = reclaimable.filter(t => !t.completed).map(t => t._id.toString());
+    await user.save({ session });
+    await recordChange(session, req, User, before, snapshot(user));
+
+    if (reclaimedIds.length) {
+        await updateAudited(
+            session, req, Task,
+            { _id: { $in: reclaimedIds }, assignedUser: '' },
+            { $set: { assignedUser: userId, assignedUserName: user.name } },
+            { many: true }
+        );
+    }
+    if (liveProjects.size) {
+        await updateAudited(
+            session, req, Project,
+            { _id: { $in: [...liveProjects] } },
+            { $addToSet: { members: userId } },
+            { many: true }
+        );
+    }
+
+    return { user, notRestored };
+}
+
+// Deletes a task for good, trashed or not, and drops every reference to it.
+async function purgeTask(session, req, task) {
+    await Task.deleteOne({ _id: task._id }, { session });
+    await recordChange(session, req, Task, snapshot(task), null);
+
+    if (task.assignedUser) {
+        await updateAudited(session, req, User, { _id: task.assignedUser }, { $pull: { pendingTasks: task._id.toString() } });
+    }
+    await detachTask(session, req, task);
+    await Notification.deleteMany({ task: task._id.toString() }, { session });
+}
+
+// Deletes a user for good. Their tasks, including ones in the trash, end up
+// unassigned either way.
+async function purgeUser(session, req, user) {
+    const userId = user._id.toString();
+    await User.deleteOne({ _id: user._id }, { session });
+    await recordChange(session, req, User, snapshot(user), null);
+
+    for (const deletedAt of [null, IN_TRASH]) {
+        await updateAudited(
+            session, req, Task,
+            { assignedUser: userId, deletedAt },
+            { $set: { assignedUser: '', assignedUserName: 'unassigned' } },
+            { many: true }
+        );
+    }
+    await updateAudited(session, req, Project, { members: userId }, { $pull: { members: userId } }, { many: true });
+    await Notification.deleteMany({ user: userId }, { session });
+}
+
+// Purges everything that has been in the trash longer than the retention
+// period, one document per transaction.
+async function purgeExpired(now = new Date()) {
+    const cutoff = new Date(now.getTime() - RETENTION_DAYS * DAY_MS);
+    let purged = 0;
+    for (const [Model, purge] of [[Task, purgeTask], [User, purgeUser]]) {
+        const expired = await Model.find({ deletedAt: { $ne: null, $lt: cutoff } }).select({ _id: 1 }).limit(1000).lean();
+        for (const { _id } of expired) {
+            await withTransaction(async (session) => {
+                const doc = await findTrashed(session, Model, _id);
+                if (doc) await purge(session, SYSTEM_REQ, doc);
+            });
+            purged += 1;
+        }
+    }
+    return purged;
+}
+
+function logError(err) {
+    console.error('Trash purge error:', err.message);
+}
+
+function start() {
+    if (purgeTimer) return;
+    purgeTimer = setInterval(() => purgeExpired().catch(logError), PURGE_INTERVAL_MS);
+    purgeTimer.unref();
+}
+
+function stop() {
+    if (purgeTimer) clearInterval(purgeTimer);
+    purgeTimer = null;
+}
+
+module.exports = {
+    RETENTION_DAYS,
+    purgeAt,
+    findTrashed,
+    findAny,
+    trashTask,
+    restoreTask,
+    trashUser,
+    restoreUser,
+    purgeTask,
+    purgeUser,
+    purgeExpired,
+    start,
+    stop
+};
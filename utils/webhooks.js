@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { subscribe } = require('./events');
+
+// Delivers change events to the subscribed webhooks. Every delivery is
+// persisted first, so retries survive a restart: a failed attempt is retried
+// with exponential backoff (WEBHOOK_RETRY_BASE_MS, doubling each time) until
+// WEBHOOK_MAX_ATTEMPTS is reached. Each request carries
+//   X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+// with the timestamp in X-Webhook-Timestamp.
+//
+// Failures are recorded on the delivery's attempts, where GET
+// /api/webhooks/:id/deliveries shows them, rather than logged.
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 10000;
+const TIMEOUT_MS = 10000;
+const SWEEP_INTERVAL_MS = 30000;
+
+let unsubscribe = null;
+let sweepTimer = null;
+
+function sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function retryDelay(attempt) {
+    return RETRY_BASE_MS * Math.pow(2, attempt - 1);
+}
+
+function post(url, headers, body) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const client = target.protocol === 'https:' ? https : http;
+        const req = client.request(target, {
+            method: 'POST',
+            headers: Object.assign({ 'Content-Length': Buffer.byteLength(body) }, headers),
+            timeout: TIMEOUT_MS
+        }, (res) => {
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        });
+        req.on('timeout', () => req.destroy(new Error('timed out')));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+// Never rejects: a delivery that could not be claimed, or whose attempt could
+// not be saved, is still pending and the sweep picks it up again.
+async function attemptDelivery(deliveryId) {
+    try {
+        await sendDelivery(deliveryId);
+    } catch (err) {
+        await WebhookDelivery.updateOne(
+            { _id: deliveryId, status: 'pending' },
+            { $push: { attempts: { at: new Date(), error: err.message } } }
+        ).catch(() => {});
+    }
+}
+
+async function sendDelivery(deliveryId) {
+    const now = new Date();
+
+    // Claim the delivery so the sweep and a pending retry timer never send it twice.
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+        { _id: deliveryId, status: 'pending', nextAttemptAt: { $lte: now } },
+        { $set: { nextAttemptAt: new Date(now.getTime() + 2 * TIMEOUT_MS) } },
+        { new: true }
+    );
+    if (!delivery) return;
+
+    const hook = await Webhook.findById(delivery.webhook).select('+secret');
+    if (!hook || !hook.active) {
+        delivery.status = 'failed';
+        delivery.attempts.push({ at: now, error: 'webhook was removed or deactivated' });
+        await delivery.save();
+        return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = String(Math.floor(now.getTime() / 1000));
+    const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'mp3-webhooks',
+        'X-Webhook-Id': hook._id.toString(),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': sign(hook.secret, timestamp, body)
+    };
+
+    const attempt = { at: now, statusCode: null, error: null, durationMs: null };
+    try {
+        attempt.statusCode = await post(hook.url, headers, body);
+        if (attempt.statusCode < 200 || attempt.statusCode >= 300) attempt.error = `HTTP ${attempt.statusCode}`;
+    } catch (err) {
+        attempt.error = err.message;
+    }
+    attempt.durationMs = Date.now() - now.getTime();
+
+    delivery.attempts.push(attempt);
+    if (!attempt.error) {
+        delivery.status = 'succeeded';
+    } else if (delivery.attempts.length >= MAX_ATTEMPTS) {
+        delivery.status = 'failed';
+    } else {
+        const delay = retryDelay(delivery.attempts.length);
+        delivery.nextAttemptAt = new Date(Date.now() + delay);
+        setTimeout(() => attemptDelivery(delivery._id), delay).unref();
+    }
+    await delivery.save();
+}
+
+async function enqueue(hook, eventType, payload) {
+    const delivery = new WebhookDelivery({
+        webhook: hook._id.toString(),
+        event: eventType,
+        eventId: payload.id,
+        payload
+    });
+    await delivery.save();
+    attemptDelivery(delivery._id);
+    return delivery;
+}
+
+// Until its deliveries are saved an event exists only in memory, so a failure
+// here is surfaced as a process warning (process.on('warning') to handle it).
+async function dispatch(event) {
+    const hooks = await Webhook.find({ active: true, events: { $in: event.types.concat('*') } });
+    for (const hook of hooks) {
+        await enqueue(hook, event.type, event);
+    }
+}
+
+// Sends a ping event to one webhook so its receiver can be checked.
+function ping(hook) {
+    const id = crypto.randomBytes(12).toString('hex');
+    return enqueue(hook, 'ping', { id, type: 'ping', types: ['ping'], webhook: hook._id.toString(), timestamp: new Date() });
+}
+
+async function sweep() {
+    const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+        .select({ _id: 1 }).limit(100).lean();
+    for (const d of due) {
+        await attemptDelivery(d._id);
+    }
+}
+
+function start() {
+    if (unsubscribe) return;
+    unsubscribe = subscribe(event => {
+        dispatch(event).catch(err => process.emitWarning(`webhook event ${event.id} was not queued: ${err.message}`));
+    });
+    // A failed sweep leaves the deliveries pending for the next one.
+    sweepTimer = setInterval(() => sweep().catch(() => {}), SWEEP_INTERVAL_MS);
+    sweepTimer.unref();
+}
+
+function stop() {
+    if (unsubscribe) unsubscribe();
+    if (sweepTimer) clearInterval(sweepTimer);
+    unsubscribe = null;
+    sweepTimer = null;
+}
+
+module.exports = { start, stop, ping, sign, sweep };